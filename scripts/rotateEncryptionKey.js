@@ -0,0 +1,42 @@
+// scripts/rotateEncryptionKey.js - Re-encrypt every encrypted field: prayer requests,
+// contact messages and replies, queued email bodies and two-factor secrets
+// Set FIELD_ENCRYPTION_KEY to the new key and FIELD_ENCRYPTION_OLD_KEYS to the
+// previous key(s), run this script, then drop the old keys once it reports no failures.
+const mongoose = require('mongoose');
+const { reencryptSensitiveFields } = require('../server');
+
+async function rotateEncryptionKey() {
+  try {
+    await mongoose.connection.asPromise();
+    console.log('✅ Connected to MongoDB');
+
+    const summary = await reencryptSensitiveFields();
+    let failures = 0;
+
+    Object.entries(summary).forEach(([modelName, { updated, failed }]) => {
+      console.log(`🔐 ${modelName}: ${updated} re-encrypted, ${failed} failed`);
+      failures += failed;
+    });
+
+    await mongoose.disconnect();
+
+    if (failures) {
+      console.log('\n⚠️  Some documents could not be decrypted. Keep the old keys configured and check the logs above.');
+      process.exit(1);
+    }
+
+    console.log('\n✅ Key rotation completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error rotating encryption key:', error);
+    process.exit(1);
+  }
+}
+
+// Run the rotation
+if (require.main === module) {
+  rotateEncryptionKey();
+}
+
+module.exports = rotateEncryptionKey;
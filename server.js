@@ -7,13 +7,33 @@ const jwt = require('jsonwebtoken');
 const nodemailer = require('nodemailer');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const validator = require('validator');
+const moment = require('moment-timezone');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy or load balancer every request comes from the
+// proxy's address, so rate limits and login throttling would lump all
+// visitors together. TRUST_PROXY takes Express's "trust proxy" values: a hop
+// count, "true", or a comma-separated list of addresses, subnets or
+// loopback/linklocal/uniquelocal.
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+const API_URL = process.env.API_URL || `http://localhost:${PORT}`;
+const SITE_URL = process.env.SITE_URL || 'https://nrbcarepo.org';
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors());
@@ -28,18 +48,160 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Database connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nrbc_church', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
+// Stricter limit for anonymous "I prayed for this" taps
+const prayedLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30
+});
+
+// Stricter per-route limits for the public forms
+const formLimiter = (max) => rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max,
+  message: { error: 'Too many submissions, please try again later' }
 });
+const prayerRequestLimiter = formLimiter(10);
+const contactLimiter = formLimiter(5);
+const newsletterLimiter = formLimiter(5);
+const registrationLimiter = formLimiter(10);
+const passwordResetLimiter = formLimiter(5);
+
+// Database connection. Under jest (NODE_ENV=test) each test file connects to
+// its own in-memory database, or to none at all.
+if (process.env.NODE_ENV !== 'test') {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nrbc_church', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+}
 
 const db = mongoose.connection;
 db.on('error', console.error.bind(console, 'MongoDB connection error:'));
 db.once('open', () => {
   console.log('✅ Connected to MongoDB Database');
+  backfillScriptureRefs();
+});
+
+// =============================================================================
+// FIELD ENCRYPTION
+// =============================================================================
+
+// Sensitive fields are stored as AES-256-GCM ciphertext in the form
+// enc:v1:<keyId>:<iv>:<tag>:<data>, all lowercase hex so schema setters such
+// as `lowercase` and `trim` leave it untouched. FIELD_ENCRYPTION_KEY is a
+// 32-byte key (64 hex characters or base64). After a rotation, earlier keys go in
+// FIELD_ENCRYPTION_OLD_KEYS (comma-separated) so existing documents can still
+// be read until `npm run rotate-keys` has re-encrypted them.
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+const parseEncryptionKey = (value) => {
+  const text = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Field encryption keys must be 32 bytes (64 hex characters or base64)');
+  }
+  return { id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8), key };
+};
+
+const currentEncryptionKey = process.env.FIELD_ENCRYPTION_KEY
+  ? parseEncryptionKey(process.env.FIELD_ENCRYPTION_KEY)
+  : null;
+
+const encryptionKeys = new Map(
+  [currentEncryptionKey, ...String(process.env.FIELD_ENCRYPTION_OLD_KEYS || '')
+    .split(',')
+    .filter(key => key.trim())
+    .map(parseEncryptionKey)]
+    .filter(Boolean)
+    .map(entry => [entry.id, entry.key])
+);
+
+if (!currentEncryptionKey) {
+  console.warn('⚠️  FIELD_ENCRYPTION_KEY is not set: prayer requests and contact messages are stored unencrypted');
+}
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+const encryptValue = (value) => {
+  if (!currentEncryptionKey || value == null || value === '' || isEncrypted(value)) return value;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', currentEncryptionKey.key, iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [ENCRYPTED_PREFIX + currentEncryptionKey.id, iv, cipher.getAuthTag(), data]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('hex') : part))
+    .join(':');
+};
+
+// Plain text is passed through, so documents saved before encryption was
+// turned on still read normally. Values under an unknown key are left as
+// ciphertext rather than failing the whole request.
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, iv, tag, data] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const key = encryptionKeys.get(keyId);
+  if (!key) {
+    console.error(`Field encryption key ${keyId} is not configured`);
+    return value;
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'hex')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    console.error('Field decryption error:', error.message);
+    return value;
+  }
+};
+
+const encryptionKeyId = (value) => (isEncrypted(value)
+  ? value.slice(ENCRYPTED_PREFIX.length).split(':')[0]
+  : null);
+
+// A field may sit inside an array of subdocuments ('replies.message'). This
+// expands it to one path per element ('replies.0.message', ...) for `doc`,
+// which may be a document or a lean object.
+const expandEncryptedPaths = (doc, fields) => fields.flatMap(field => {
+  const [arrayPath, subField] = field.split('.');
+  if (!subField) return [field];
+
+  const items = typeof doc.get === 'function' ? doc.get(arrayPath) : doc[arrayPath];
+  return (items || []).map((item, index) => `${arrayPath}.${index}.${subField}`);
 });
 
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), object);
+
+// Schema plugin: encrypt `fields` just before they are written and decrypt
+// them whenever a document is loaded, so routes only ever see plain text.
+// Validation (required, maxlength) runs on the plain text. Lean queries and
+// aggregations bypass this and return ciphertext.
+const encryptedFields = (schema, { fields }) => {
+  const showPlainText = (doc) => {
+    expandEncryptedPaths(doc, fields).forEach(field => {
+      const value = doc.get(field);
+      if (isEncrypted(value)) {
+        doc.set(field, decryptValue(value));
+        doc.unmarkModified(field);
+      }
+    });
+  };
+
+  schema.pre('save', function (next) {
+    expandEncryptedPaths(this, fields).forEach(field => {
+      if (this.isModified(field)) {
+        this.set(field, encryptValue(this.get(field)));
+      }
+    });
+    next();
+  });
+
+  schema.post('init', showPlainText);
+  schema.post('save', showPlainText);
+};
+
 // =============================================================================
 // DATABASE SCHEMAS
 // =============================================================================
@@ -70,6 +232,66 @@ const prayerRequestSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Pastoral care follow-up
+  category: {
+    type: String,
+    enum: ['healing', 'family', 'finances', 'employment', 'salvation', 'guidance', 'grief', 'thanksgiving', 'other'],
+    default: 'other'
+  },
+  status: {
+    type: String,
+    enum: ['new', 'in-progress', 'answered', 'closed'],
+    default: 'new'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  },
+  followUpNotes: [{
+    note: { type: String, required: true, maxlength: 2000 },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Praise report from the submitter once the prayer is answered
+  testimony: {
+    text: { type: String, maxlength: 2000 },
+    submittedAt: Date
+  },
+  // Public prayer wall: shareable requests wait for pastoral approval
+  wallStatus: {
+    type: String,
+    enum: ['none', 'pending', 'approved', 'rejected'],
+    default: 'none'
+  },
+  wallNameFormat: {
+    type: String,
+    enum: ['full', 'initials'],
+    default: 'initials'
+  },
+  // Optional edited wording for the wall; the original stays private
+  wallText: {
+    type: String,
+    maxlength: 1000
+  },
+  wallReviewedAt: {
+    type: Date
+  },
+  wallReviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  prayedCount: {
+    type: Number,
+    default: 0
+  },
+  // Hashed visitor fingerprints, so each visitor counts once
+  prayedBy: {
+    type: [String],
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -118,6 +340,22 @@ const eventSchema = new mongoose.Schema({
     enum: ['weekly', 'monthly', 'yearly'],
     default: null
   },
+  recurrenceEnd: {
+    type: Date,
+    default: null
+  },
+  // Per-occurrence changes to a recurring series, keyed by the occurrence's
+  // original date (YYYY-MM-DD)
+  occurrenceOverrides: [{
+    occurrenceDate: { type: String, required: true },
+    date: Date,
+    time: String,
+    location: String,
+    description: String,
+    note: String,
+    isCancelled: { type: Boolean, default: false },
+    updatedAt: { type: Date, default: Date.now }
+  }],
   maxAttendees: {
     type: Number,
     default: null
@@ -126,12 +364,41 @@ const eventSchema = new mongoose.Schema({
     name: String,
     email: String,
     phone: String,
-    registeredAt: { type: Date, default: Date.now }
+    registeredAt: { type: Date, default: Date.now },
+    ticketCode: String,
+    // Most recent check-in; checkIns holds one entry per occurrence attended
+    checkedInAt: Date,
+    checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    checkIns: [{
+      occurrenceDate: String,
+      checkedInAt: Date,
+      checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }]
+  }],
+  waitlistEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // People who registered once the event was full, in order of joining
+  waitlist: [{
+    name: String,
+    email: String,
+    phone: String,
+    joinedAt: { type: Date, default: Date.now }
   }],
   image: {
     type: String,
     default: null
   },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'postponed'],
+    default: 'scheduled'
+  },
+  statusNote: {
+    type: String,
+    maxlength: 500
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -140,6 +407,9 @@ const eventSchema = new mongoose.Schema({
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date
   }
 });
 
@@ -179,6 +449,20 @@ const contactMessageSchema = new mongoose.Schema({
   respondedAt: {
     type: Date
   },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date
+  },
+  // Replies sent from the dashboard, oldest first
+  replies: [{
+    subject: { type: String, required: true, trim: true, maxlength: 200 },
+    message: { type: String, required: true, maxlength: 5000 },
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sentAt: { type: Date, default: Date.now }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -186,6 +470,8 @@ const contactMessageSchema = new mongoose.Schema({
 });
 
 // User Schema (for admin/staff management)
+const USER_ROLES = ['admin', 'pastor', 'staff', 'volunteer'];
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -206,7 +492,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'pastor', 'staff', 'volunteer'],
+    enum: USER_ROLES,
     default: 'volunteer'
   },
   phone: {
@@ -221,15 +507,53 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  deactivatedAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date
   },
+  passwordChangedAt: {
+    type: Date
+  },
+  // SHA-256 of the emailed reset token; cleared once it is used
+  passwordResetToken: {
+    type: String
+  },
+  passwordResetExpires: {
+    type: Date
+  },
+  // TOTP two-factor authentication (see TWO-FACTOR AUTHENTICATION). The
+  // pending secret is held while enrolling, until the first code checks out.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String
+  },
+  twoFactorPendingSecret: {
+    type: String
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  // Time step of the last accepted code, so a code can't be used twice
+  twoFactorLastStep: {
+    type: Number
+  },
+  // SHA-256 of each unused recovery code
+  recoveryCodes: [{
+    type: String
+  }],
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
 // Sermon Schema
 const sermonSchema = new mongoose.Schema({
   title: {
@@ -263,6 +587,9 @@ const sermonSchema = new mongoose.Schema({
   notes: {
     type: String
   },
+  notesFile: {
+    type: String
+  },
   series: {
     type: String,
     trim: true
@@ -271,6 +598,21 @@ const sermonSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Parsed from `scripture`. `start`/`end` encode book, chapter and verse as
+  // book * 1e6 + chapter * 1e3 + verse so overlapping passages can be found
+  // with a range query.
+  scriptureRefs: [{
+    _id: false,
+    book: String,
+    bookNumber: Number,
+    startChapter: Number,
+    startVerse: Number,
+    endChapter: Number,
+    endVerse: Number,
+    text: String,
+    start: Number,
+    end: Number
+  }],
   viewCount: {
     type: Number,
     default: 0
@@ -281,7 +623,31 @@ const sermonSchema = new mongoose.Schema({
   }
 });
 
+sermonSchema.index(
+  { title: 'text', summary: 'text', notes: 'text' },
+  { name: 'sermon_text_search', weights: { title: 10, summary: 5, notes: 1 } }
+);
+sermonSchema.index({ 'scriptureRefs.start': 1, 'scriptureRefs.end': 1 });
+
+// Keep the parsed references in step with `scripture`, rejecting text that
+// isn't a recognisable reference
+sermonSchema.pre('validate', function (next) {
+  if (!this.isModified('scripture')) return next();
+
+  const { refs, error } = parseScripture(this.scripture);
+  if (error) {
+    this.invalidate('scripture', error, this.scripture);
+  } else {
+    this.scriptureRefs = refs;
+  }
+  next();
+});
+
 // Newsletter Subscription Schema
+const NEWSLETTER_TOPICS = ['events', 'sermons', 'outreach'];
+
+// Subscriptions start inactive and become active once the subscriber clicks
+// the confirmation link (double opt-in)
 const newsletterSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -296,7 +662,17 @@ const newsletterSchema = new mongoose.Schema({
   },
   isActive: {
     type: Boolean,
-    default: true
+    default: false
+  },
+  topics: {
+    type: [{ type: String, enum: NEWSLETTER_TOPICS }],
+    default: () => [...NEWSLETTER_TOPICS]
+  },
+  confirmationSentAt: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
   },
   subscribedAt: {
     type: Date,
@@ -307,565 +683,6970 @@ const newsletterSchema = new mongoose.Schema({
   }
 });
 
-// Create Models
-const PrayerRequest = mongoose.model('PrayerRequest', prayerRequestSchema);
-const Event = mongoose.model('Event', eventSchema);
-const ContactMessage = mongoose.model('ContactMessage', contactMessageSchema);
-const User = mongoose.model('User', userSchema);
-const Sermon = mongoose.model('Sermon', sermonSchema);
-const Newsletter = mongoose.model('Newsletter', newsletterSchema);
-
-// =============================================================================
-// EMAIL CONFIGURATION
-// =============================================================================
-
-const transporter = nodemailer.createTransporter({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
-// =============================================================================
-// AUTHENTICATION MIDDLEWARE
-// =============================================================================
-
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: 'Invalid token' });
-    req.user = user;
-    next();
-  });
-};
-
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin' && req.user.role !== 'pastor') {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  next();
-};
-
-// =============================================================================
-// FILE UPLOAD CONFIGURATION
-// =============================================================================
-
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/');
+// Email Template Schema
+// Admin overrides of the built-in email templates (see EMAIL TEMPLATES)
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
   },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(file.originalname));
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+// Outbound Email Schema
+// Durable queue of outgoing mail, delivered by the email worker (see EMAIL QUEUE)
+const outboundEmailSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
   },
-  fileFilter: function (req, file, cb) {
-    const allowedTypes = /jpeg|jpg|png|gif|mp3|mp4|pdf/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only images, audio, video, and PDF files are allowed'));
-    }
+  from: {
+    type: String
+  },
+  replyTo: {
+    type: String
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String
+  },
+  text: {
+    type: String
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  attachments: [{
+    filename: String,
+    content: Buffer,
+    contentType: String,
+    cid: String
+  }],
+  template: {
+    type: String
+  },
+  // Set for newsletter campaign mail, so delivery is recorded per recipient
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  campaignRecipient: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-// =============================================================================
-// API ROUTES
-// =============================================================================
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivered mail is kept for a month for troubleshooting, then removed
+outboundEmailSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
 
-// Health Check
+// Newsletter Campaign Schema
+const CAMPAIGN_RECIPIENT_STATUSES = ['pending', 'queued', 'sent', 'failed', 'skipped'];
+
+const campaignSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  // Plain-text version; generated from the HTML when left empty
+  text: {
+    type: String
+  },
+  // Only subscribers who chose this topic receive the campaign; unset sends to all
+  topic: {
+    type: String,
+    enum: NEWSLETTER_TOPICS
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'sending', 'sent', 'cancelled'],
+    default: 'draft'
+  },
+  scheduledAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  // Snapshot of the active subscribers taken when sending starts
+  recipients: [{
+    subscriber: { type: mongoose.Schema.Types.ObjectId, ref: 'Newsletter' },
+    email: { type: String, required: true },
+    name: String,
+    status: { type: String, enum: CAMPAIGN_RECIPIENT_STATUSES, default: 'pending' },
+    queuedAt: Date,
+    sentAt: Date,
+    error: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+
+// Role Permission Schema
+// Named capabilities that routes require (see PERMISSIONS). Admins always
+// have all of them; the other roles start from DEFAULT_ROLE_PERMISSIONS.
+const PERMISSIONS = {
+  'manage-users': 'Create and import staff accounts',
+  'manage-permissions': 'Change what each role is allowed to do',
+  'read-prayers': 'Read prayer requests, including private ones',
+  'manage-prayers': 'Assign, categorise and answer prayer requests and add follow-up notes',
+  'moderate-prayer-wall': 'Approve or reject requests for the public prayer wall',
+  'manage-events': 'Create, edit and cancel events and export attendee lists',
+  'check-in-attendees': 'Check attendees in at the door',
+  'manage-sermons': 'Add, edit and delete sermons',
+  'read-contact': 'Read and export contact messages',
+  'reply-contact': 'Reply to, mark and archive contact messages',
+  'manage-newsletter': 'Import and export subscribers and send newsletter campaigns',
+  'review-spam': 'Review, release and delete quarantined form submissions',
+  'manage-email': 'Edit email templates and inspect or resend queued email',
+  'view-dashboard': 'See dashboard statistics'
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  pastor: Object.keys(PERMISSIONS).filter(permission => !['manage-users', 'manage-permissions'].includes(permission)),
+  staff: ['manage-events', 'check-in-attendees', 'manage-sermons', 'read-contact', 'reply-contact', 'view-dashboard'],
+  volunteer: ['check-in-attendees']
+};
+
+// Admin changes to a role's default permissions
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: USER_ROLES.filter(role => role !== 'admin')
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Session Schema
+// One per sign-in. The refresh token is rotated on every use and only its
+// hash is stored; access tokens name their session so they die with it.
+const SESSION_REVOKE_REASONS = ['logout', 'logout-all', 'deactivated', 'role-changed', 'password-changed', 'reused', 'admin'];
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token this one replaced; seeing it again means it was stolen
+  previousTokenHash: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 300
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: SESSION_REVOKE_REASONS
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Login Attempt Schema
+// Failed sign-ins counted per account (email) and per IP (see LOGIN PROTECTION)
+const loginAttemptSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: {
+    type: Date
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lastIp: {
+    type: String
+  },
+  // Earliest time the next attempt is allowed (the progressive delay)
+  nextAttemptAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  }
+});
+
+loginAttemptSchema.index({ kind: 1, value: 1 }, { unique: true });
+// Records are dropped a day after the last failure
+loginAttemptSchema.index({ lastFailureAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Suspected spam from the public forms is saved but held back from staff
+// until an admin reviews it (see SPAM PROTECTION)
+const spamQuarantine = (schema) => {
+  schema.add({
+    quarantine: {
+      isQuarantined: { type: Boolean, default: false },
+      reasons: [String],
+      ip: String,
+      quarantinedAt: Date,
+      releasedAt: Date,
+      releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }
+  });
+  schema.index({ 'quarantine.isQuarantined': 1 });
+};
+
+const NOT_QUARANTINED = { 'quarantine.isQuarantined': { $ne: true } };
+
+prayerRequestSchema.plugin(encryptedFields, { fields: ['prayerRequest', 'email'] });
+// Staff replies quote and answer the message, so they are encrypted too
+contactMessageSchema.plugin(encryptedFields, { fields: ['message', 'email', 'replies.message'] });
+// Queued mail can quote prayer requests and messages
+outboundEmailSchema.plugin(encryptedFields, { fields: ['html', 'text'] });
+userSchema.plugin(encryptedFields, { fields: ['twoFactorSecret', 'twoFactorPendingSecret'] });
+prayerRequestSchema.plugin(spamQuarantine);
+contactMessageSchema.plugin(spamQuarantine);
+newsletterSchema.plugin(spamQuarantine);
+
+// Create Models
+const PrayerRequest = mongoose.model('PrayerRequest', prayerRequestSchema);
+const Event = mongoose.model('Event', eventSchema);
+const ContactMessage = mongoose.model('ContactMessage', contactMessageSchema);
+const User = mongoose.model('User', userSchema);
+const Sermon = mongoose.model('Sermon', sermonSchema);
+const Newsletter = mongoose.model('Newsletter', newsletterSchema);
+const EmailTemplate = mongoose.model('EmailTemplate', emailTemplateSchema);
+const OutboundEmail = mongoose.model('OutboundEmail', outboundEmailSchema);
+const Campaign = mongoose.model('Campaign', campaignSchema);
+const RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+// =============================================================================
+// EMAIL CONFIGURATION
+// =============================================================================
+
+// Gmail by default. Setting SMTP_HOST points mail at any SMTP server instead,
+// such as a local stand-in like MailHog while developing.
+const transporter = nodemailer.createTransport(process.env.SMTP_HOST
+  ? {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.EMAIL_PASS ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined
+  }
+  : {
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+
+// =============================================================================
+// EMAIL QUEUE
+// =============================================================================
+
+// Mail is saved to the OutboundEmail collection and delivered by a background
+// worker, so a slow or unavailable mail server never fails the request that
+// sent it. Failed sends are retried with exponential backoff; after
+// maxAttempts the email is marked dead and waits for an admin to resend it.
+const EMAIL_QUEUE_INTERVAL_MS = parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS) || 10 * 1000;
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+const EMAIL_RETRY_BASE_MS = 60 * 1000; // 1 minute, doubling each attempt
+const EMAIL_RETRY_MAX_MS = 6 * 60 * 60 * 1000; // 6 hours
+const EMAIL_LOCK_TIMEOUT_MS = 10 * 60 * 1000; // reclaim sends a crashed worker left behind
+const EMAIL_QUEUE_BATCH = 20;
+
+let emailQueueTimer = null;
+let emailQueueBusy = false;
+
+const emailRetryDelay = (attempts) => Math.min(EMAIL_RETRY_BASE_MS * 2 ** (attempts - 1), EMAIL_RETRY_MAX_MS);
+
+// Add an email to the queue. `message` takes nodemailer's to, subject, html,
+// text, replyTo, headers and attachments.
+const queueEmail = async (message, { template } = {}) => {
+  const email = await OutboundEmail.create({
+    from: process.env.EMAIL_USER,
+    ...message,
+    template,
+    maxAttempts: EMAIL_MAX_ATTEMPTS
+  });
+
+  if (emailQueueTimer) setImmediate(processEmailQueue);
+  return email;
+};
+
+// Atomically take the next email that is due, so several workers (or server
+// instances) never send the same one twice
+const claimNextEmail = () => {
+  const now = new Date();
+  return OutboundEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - EMAIL_LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const deliverEmail = async (email) => {
+  try {
+    const info = await transporter.sendMail({
+      from: email.from,
+      to: email.to,
+      replyTo: email.replyTo,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      headers: email.headers,
+      attachments: email.attachments.map(({ filename, content, contentType, cid }) =>
+        ({ filename, content: Buffer.from(content), contentType, cid }))
+    });
+
+    await OutboundEmail.updateOne({ _id: email._id }, {
+      $set: { status: 'sent', sentAt: new Date(), messageId: info.messageId },
+      $unset: { lockedAt: 1, lastError: 1 }
+    });
+
+    if (email.campaign) await recordCampaignDelivery(email, 'sent');
+  } catch (error) {
+    const dead = email.attempts >= email.maxAttempts;
+    console.error(`Email ${email._id} to ${email.to} failed (attempt ${email.attempts}${dead ? ', giving up' : ''}):`, error.message);
+
+    await OutboundEmail.updateOne({ _id: email._id }, {
+      $set: {
+        status: dead ? 'dead' : 'queued',
+        nextAttemptAt: new Date(Date.now() + emailRetryDelay(email.attempts)),
+        lastError: error.message
+      },
+      $unset: { lockedAt: 1 }
+    });
+
+    if (dead && email.campaign) await recordCampaignDelivery(email, 'failed', error.message);
+  }
+};
+
+// Deliver up to a batch of due emails. Overlapping runs are skipped.
+const processEmailQueue = async () => {
+  if (emailQueueBusy) return;
+  emailQueueBusy = true;
+
+  try {
+    for (let i = 0; i < EMAIL_QUEUE_BATCH; i++) {
+      const email = await claimNextEmail();
+      if (!email) break;
+      await deliverEmail(email);
+    }
+  } catch (error) {
+    console.error('Email queue error:', error);
+  } finally {
+    emailQueueBusy = false;
+  }
+};
+
+const startEmailWorker = () => {
+  if (emailQueueTimer) return;
+  emailQueueTimer = setInterval(processEmailQueue, EMAIL_QUEUE_INTERVAL_MS);
+  processEmailQueue();
+};
+
+// =============================================================================
+// AUTHENTICATION MIDDLEWARE
+// =============================================================================
+
+// Access tokens are short-lived JWTs; clients renew them with the session's
+// refresh token at /api/auth/refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user._id, email: user.email, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a session for a user who has just signed in
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: String(req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { token: signAccessToken(user, session._id), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+// End sessions matching `filter` (e.g. { user }), so their access and
+// refresh tokens stop working straight away
+const revokeSessions = (filter, reason) => Session.updateMany(
+  { ...filter, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Besides checking the signature, every request checks the session is still
+// open and the account is still active with the role the token was issued for
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired' });
+    }
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+
+  // Email link tokens share the secret but carry no session
+  if (!payload.sid || !mongoose.Types.ObjectId.isValid(payload.sid)) {
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+
+  try {
+    const [session, user] = await Promise.all([
+      Session.exists({ _id: payload.sid, user: payload.id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+      User.findById(payload.id).select('role isActive twoFactorEnabled')
+    ]);
+
+    if (!session || !user || !user.isActive || user.role !== payload.role) {
+      return res.status(401).json({ error: 'Session has ended, please sign in again' });
+    }
+
+    if (requiresTwoFactor(user.role) && !user.twoFactorEnabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication must be set up, please sign in again to set it up',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    req.user = { id: payload.id, email: payload.email, role: payload.role, sessionId: payload.sid };
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+};
+
+// Permissions granted to a role: the admin's changes if there are any,
+// otherwise the defaults. Admins always have every permission.
+const getRolePermissions = async (role) => {
+  if (role === 'admin') return Object.keys(PERMISSIONS);
+
+  const custom = await RolePermission.findOne({ role }).lean();
+  if (!custom) return DEFAULT_ROLE_PERMISSIONS[role] || [];
+
+  return custom.permissions.filter(permission => PERMISSIONS[permission]);
+};
+
+// Looked up once per request and kept on req.permissions
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await getRolePermissions(req.user.role);
+  }
+  return req.permissions;
+};
+
+// Route guard: `app.get(path, authenticateToken, requirePermission('read-prayers'), ...)`
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const permissions = await loadPermissions(req);
+    if (!permissions.includes(permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions', permission });
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({ error: 'Failed to check permissions' });
+  }
+};
+
+// Only admins may create admins, whatever else their role has been granted
+const canAssignRole = (user, role) => role !== 'admin' || user.role === 'admin';
+
+// =============================================================================
+// EMAIL LINKS
+// =============================================================================
+
+// Links are signed with their own key so a leaked email link can never pass
+// as a session token (or the reverse). Without LINK_TOKEN_SECRET the key is
+// derived from JWT_SECRET.
+const linkTokenSecret = () => process.env.LINK_TOKEN_SECRET || crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update('email-links')
+  .digest('hex');
+
+// Signed tokens for links sent by email. `purpose` stops a token minted for
+// one kind of link being replayed against another.
+const signLinkToken = (purpose, claims, options = {}) =>
+  jwt.sign({ ...claims, purpose }, linkTokenSecret(), options);
+
+// Returns the token's claims, or null if it is forged, expired or minted for
+// a different purpose
+const verifyLinkToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, linkTokenSecret());
+    return payload.purpose === purpose ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Minimal standalone page for links opened from emails
+const renderMessagePage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - New Revival Baptist Church</title>
+</head>
+<body style="font-family: sans-serif; max-width: 560px; margin: 40px auto; padding: 0 16px; color: #333;">
+  <h1 style="color: #1a237e;">${escapeHtml(title)}</h1>
+  ${body}
+  <p>New Revival Baptist Church, Arepo</p>
+</body>
+</html>`;
+
+// Answer a link-driven request with a page for browsers and JSON for API clients
+const sendLinkResponse = (req, res, status, title, message) => {
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.status(status).send(renderMessagePage(title, `<p>${escapeHtml(message)}</p>`));
+  }
+  res.status(status).json(status >= 400 ? { error: message } : { message });
+};
+
+// =============================================================================
+// EMAIL TEMPLATES
+// =============================================================================
+
+// Every email is rendered from a template with an HTML and a plain-text part.
+// Placeholders are {{name}}; sections {{#flag}}...{{/flag}} render when the
+// value is truthy and {{^flag}}...{{/flag}} when it isn't. Values are always
+// HTML-escaped in the HTML part, so submitted text can't inject markup. Admins
+// can override any template, including the shared `layout`, through
+// /api/email-templates; the layout wraps each email at {{{content}}}.
+const TEMPLATE_TAG = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\s*(\w+)\s*\}\}/g;
+const LAYOUT_CONTENT = '{{{content}}}';
+
+const EMAIL_TEMPLATES = {
+  layout: {
+    description: 'Shared layout wrapping every email',
+    variables: ['churchName', 'churchLocation', 'logoUrl', 'siteUrl', 'unsubscribeUrl', 'preferencesUrl', 'year'],
+    html: `<!DOCTYPE html>
+<html lang="en">
+<body style="margin: 0; padding: 0; background: #f4f4f7; font-family: sans-serif; color: #333;">
+  <div style="max-width: 600px; margin: 0 auto; background: #ffffff;">
+    <div style="padding: 24px; text-align: center; background: #1a237e;">
+      <a href="{{siteUrl}}"><img src="{{logoUrl}}" alt="{{churchName}}" height="60" style="border: 0;"></a>
+    </div>
+    <div style="padding: 24px;">
+      {{{content}}}
+    </div>
+    <div style="padding: 16px 24px; font-size: 12px; color: #777; text-align: center; border-top: 1px solid #eee;">
+      <p>{{churchName}}, {{churchLocation}}<br><a href="{{siteUrl}}">{{siteUrl}}</a></p>
+      {{#unsubscribeUrl}}<p><a href="{{unsubscribeUrl}}">Unsubscribe</a>{{#preferencesUrl}} | <a href="{{preferencesUrl}}">Manage preferences</a>{{/preferencesUrl}}</p>{{/unsubscribeUrl}}
+    </div>
+  </div>
+</body>
+</html>`,
+    text: `{{{content}}}
+
+--
+{{churchName}}, {{churchLocation}}
+{{siteUrl}}
+{{#unsubscribeUrl}}Unsubscribe: {{unsubscribeUrl}}
+{{/unsubscribeUrl}}{{#preferencesUrl}}Manage preferences: {{preferencesUrl}}
+{{/preferencesUrl}}`
+  },
+  'prayer-request-staff': {
+    description: 'New prayer request, sent to the prayer team',
+    variables: ['name', 'email', 'prayerRequest', 'privacy', 'submittedAt'],
+    subject: 'New Prayer Request - NRBC Arepo',
+    html: `<h2>New Prayer Request Submitted</h2>
+<p><strong>Name:</strong> {{name}}</p>
+<p><strong>Email:</strong> {{email}}</p>
+<p><strong>Request:</strong></p>
+<p>{{prayerRequest}}</p>
+<p><strong>Privacy:</strong> {{privacy}}</p>
+<p><strong>Submitted:</strong> {{submittedAt}}</p>`,
+    text: `New Prayer Request Submitted
+
+Name: {{name}}
+Email: {{email}}
+Request:
+{{prayerRequest}}
+
+Privacy: {{privacy}}
+Submitted: {{submittedAt}}`
+  },
+  'prayer-assigned': {
+    description: 'Prayer request assigned to a staff member',
+    variables: ['assigneeName', 'requesterName', 'category'],
+    subject: 'Prayer Request Assigned to You - NRBC Arepo',
+    html: `<h2>Prayer Request Assigned to You</h2>
+<p>Dear {{assigneeName}},</p>
+<p>A prayer request from <strong>{{requesterName}}</strong> ({{category}}) has been assigned to you for follow-up.</p>
+<p>Please sign in to the dashboard to read it and add your notes.</p>`,
+    text: `Dear {{assigneeName}},
+
+A prayer request from {{requesterName}} ({{category}}) has been assigned to you for follow-up.
+
+Please sign in to the dashboard to read it and add your notes.`
+  },
+  'prayer-answered': {
+    description: 'Prayer marked answered, inviting the submitter to share a testimony',
+    variables: ['name', 'testimonyUrl'],
+    subject: 'Praise God! - NRBC Arepo',
+    html: `<h2>Praise God!</h2>
+<p>Dear {{name}},</p>
+<p>Our pastoral team has been standing with you in prayer, and we rejoice that your prayer request has been marked as answered.</p>
+<p>Would you like to encourage others with your story? <a href="{{testimonyUrl}}">Share your praise report</a>.</p>
+<p>Blessings,<br>New Revival Baptist Church</p>`,
+    text: `Praise God!
+
+Dear {{name}},
+
+Our pastoral team has been standing with you in prayer, and we rejoice that your prayer request has been marked as answered.
+
+Would you like to encourage others with your story? Share your praise report:
+{{testimonyUrl}}
+
+Blessings,
+New Revival Baptist Church`
+  },
+  'contact-message-staff': {
+    description: 'New contact message, sent to church staff',
+    variables: ['name', 'email', 'phone', 'subject', 'message', 'submittedAt'],
+    subject: 'New Contact Message - {{subject}}',
+    html: `<h2>New Contact Message</h2>
+<p><strong>Name:</strong> {{name}}</p>
+<p><strong>Email:</strong> {{email}}</p>
+<p><strong>Phone:</strong> {{phone}}</p>
+<p><strong>Subject:</strong> {{subject}}</p>
+<p><strong>Message:</strong></p>
+<p>{{message}}</p>
+<p><strong>Submitted:</strong> {{submittedAt}}</p>`,
+    text: `New Contact Message
+
+Name: {{name}}
+Email: {{email}}
+Phone: {{phone}}
+Subject: {{subject}}
+Message:
+{{message}}
+
+Submitted: {{submittedAt}}`
+  },
+  'contact-reply': {
+    description: 'Reply to a contact message sent from the dashboard',
+    variables: ['subject', 'name', 'reply', 'receivedAt', 'originalMessage'],
+    subject: '{{subject}}',
+    html: `<p>Dear {{name}},</p>
+<p>{{reply}}</p>
+<p>Blessings,<br>New Revival Baptist Church</p>
+<hr>
+<p><em>On {{receivedAt}} you wrote:</em></p>
+<blockquote>{{originalMessage}}</blockquote>`,
+    text: `Dear {{name}},
+
+{{reply}}
+
+Blessings,
+New Revival Baptist Church
+
+On {{receivedAt}} you wrote:
+{{originalMessage}}`
+  },
+  'event-change': {
+    description: 'Event cancelled, postponed or rescheduled, sent to registered attendees',
+    variables: ['changeTitle', 'name', 'eventTitle', 'cancelled', 'postponed', 'rescheduled', 'date', 'time', 'location', 'statusNote'],
+    subject: '{{changeTitle}} - {{eventTitle}}',
+    html: `<h2>{{changeTitle}}</h2>
+<p>Dear {{name}},</p>
+<p>You registered for <strong>{{eventTitle}}</strong>.</p>
+{{#cancelled}}<p>Unfortunately this event has been <strong>cancelled</strong>.</p>{{/cancelled}}
+{{#postponed}}<p>This event has been <strong>postponed</strong>. We will let you know the new date as soon as it is confirmed.</p>{{/postponed}}
+{{#rescheduled}}<p>The details of this event have changed:</p>
+<p><strong>Date:</strong> {{date}}</p>
+<p><strong>Time:</strong> {{time}}</p>
+<p><strong>Location:</strong> {{location}}</p>{{/rescheduled}}
+{{#statusNote}}<p>{{statusNote}}</p>{{/statusNote}}
+<p>We apologise for any inconvenience.</p>
+<p>Blessings,<br>New Revival Baptist Church</p>`,
+    text: `{{changeTitle}}
+
+Dear {{name}},
+
+You registered for {{eventTitle}}.
+{{#cancelled}}
+Unfortunately this event has been cancelled.
+{{/cancelled}}{{#postponed}}
+This event has been postponed. We will let you know the new date as soon as it is confirmed.
+{{/postponed}}{{#rescheduled}}
+The details of this event have changed:
+Date: {{date}}
+Time: {{time}}
+Location: {{location}}
+{{/rescheduled}}{{#statusNote}}
+{{statusNote}}
+{{/statusNote}}
+We apologise for any inconvenience.
+
+Blessings,
+New Revival Baptist Church`
+  },
+  'registration-confirmed': {
+    description: 'Event registration (or promotion off the waitlist) with the QR ticket',
+    variables: ['name', 'eventTitle', 'promoted', 'date', 'time', 'location', 'ticket', 'cancelUrl'],
+    subject: '{{#promoted}}A Seat Has Opened Up{{/promoted}}{{^promoted}}Event Registration Confirmed{{/promoted}} - {{eventTitle}}',
+    html: `<h2>Registration Confirmed</h2>
+<p>Dear {{name}},</p>
+{{#promoted}}<p>Good news! A seat has opened up and you have been moved from the waitlist to the attendee list for <strong>{{eventTitle}}</strong>.</p>{{/promoted}}
+{{^promoted}}<p>Thank you for registering for <strong>{{eventTitle}}</strong></p>{{/promoted}}
+<p><strong>Date:</strong> {{date}}</p>
+<p><strong>Time:</strong> {{time}}</p>
+<p><strong>Location:</strong> {{location}}</p>
+<p>Please show this ticket at the door:</p>
+<p><img src="cid:ticket-qr" alt="Your ticket QR code" width="240" height="240"></p>
+<p><small>Ticket code: {{ticket}}</small></p>
+<p>We look forward to seeing you there!</p>
+<p>Can't make it? <a href="{{cancelUrl}}">Cancel your registration</a> so someone else can have your seat.</p>
+<p>Blessings,<br>New Revival Baptist Church</p>`,
+    text: `Registration Confirmed
+
+Dear {{name}},
+
+{{#promoted}}Good news! A seat has opened up and you have been moved from the waitlist to the attendee list for {{eventTitle}}.{{/promoted}}{{^promoted}}Thank you for registering for {{eventTitle}}.{{/promoted}}
+
+Date: {{date}}
+Time: {{time}}
+Location: {{location}}
+
+Your ticket code (the QR code is attached): {{ticket}}
+
+We look forward to seeing you there!
+
+Can't make it? Cancel your registration so someone else can have your seat:
+{{cancelUrl}}
+
+Blessings,
+New Revival Baptist Church`
+  },
+  'waitlist-joined': {
+    description: 'Added to an event waitlist',
+    variables: ['name', 'eventTitle', 'position', 'cancelUrl'],
+    subject: "You're on the Waitlist - {{eventTitle}}",
+    html: `<h2>You're on the Waitlist</h2>
+<p>Dear {{name}},</p>
+<p><strong>{{eventTitle}}</strong> is currently full, so we have added you to the waitlist at position <strong>{{position}}</strong>.</p>
+<p>If a seat opens up you will be registered automatically and we will email you straight away.</p>
+<p>No longer interested? <a href="{{cancelUrl}}">Leave the waitlist</a>.</p>
+<p>Blessings,<br>New Revival Baptist Church</p>`,
+    text: `You're on the Waitlist
+
+Dear {{name}},
+
+{{eventTitle}} is currently full, so we have added you to the waitlist at position {{position}}.
+
+If a seat opens up you will be registered automatically and we will email you straight away.
+
+No longer interested? Leave the waitlist:
+{{cancelUrl}}
+
+Blessings,
+New Revival Baptist Church`
+  },
+  'newsletter-confirm': {
+    description: 'Double opt-in link sent when someone subscribes to the newsletter',
+    variables: ['name', 'confirmUrl'],
+    subject: 'Please Confirm Your Subscription - NRBC Arepo',
+    html: `<h2>Confirm Your Subscription</h2>
+<p>Dear {{name}},</p>
+<p>Thank you for signing up for the New Revival Baptist Church newsletter. Please confirm your email address to start receiving it:</p>
+<p><a href="{{confirmUrl}}">Confirm my subscription</a></p>
+<p>If you didn't sign up, just ignore this email and you won't hear from us again.</p>
+<p>Blessings,<br>New Revival Baptist Church</p>`,
+    text: `Confirm Your Subscription
+
+Dear {{name}},
+
+Thank you for signing up for the New Revival Baptist Church newsletter. Please confirm your email address to start receiving it:
+{{confirmUrl}}
+
+If you didn't sign up, just ignore this email and you won't hear from us again.
+
+Blessings,
+New Revival Baptist Church`
+  },
+  'newsletter-welcome': {
+    description: 'Welcome email for new newsletter subscribers',
+    variables: ['name'],
+    subject: 'Welcome to NRBC Newsletter!',
+    html: `<h2>Welcome to New Revival Baptist Church Newsletter!</h2>
+<p>Dear {{name}},</p>
+<p>Thank you for subscribing to our newsletter. You'll receive updates about:</p>
+<ul>
+  <li>Upcoming events and services</li>
+  <li>Prayer requests and testimonies</li>
+  <li>Community outreach programs</li>
+  <li>Spiritual encouragement and Bible teachings</li>
+</ul>
+<p>God bless you!</p>
+<p>New Revival Baptist Church, Arepo</p>`,
+    text: `Welcome to New Revival Baptist Church Newsletter!
+
+Dear {{name}},
+
+Thank you for subscribing to our newsletter. You'll receive updates about:
+- Upcoming events and services
+- Prayer requests and testimonies
+- Community outreach programs
+- Spiritual encouragement and Bible teachings
+
+God bless you!
+New Revival Baptist Church, Arepo`
+  },
+  'password-reset': {
+    description: 'Link for choosing a new password, sent on request or by an admin',
+    variables: ['name', 'resetUrl', 'expiresIn'],
+    subject: 'Reset Your Password - NRBC Arepo',
+    html: `<h2>Reset Your Password</h2>
+<p>Dear {{name}},</p>
+<p>Someone asked to reset the password for your New Revival Baptist Church account. Use the link below to choose a new one. It works once and expires in {{expiresIn}}.</p>
+<p><a href="{{resetUrl}}">Choose a new password</a></p>
+<p>If you didn't ask for this, you can ignore this email and your password will stay the same.</p>
+<p>New Revival Baptist Church</p>`,
+    text: `Reset Your Password
+
+Dear {{name}},
+
+Someone asked to reset the password for your New Revival Baptist Church account. Use the link below to choose a new one. It works once and expires in {{expiresIn}}.
+{{resetUrl}}
+
+If you didn't ask for this, you can ignore this email and your password will stay the same.
+
+New Revival Baptist Church`
+  },
+  'password-changed': {
+    description: 'Notice sent to a user whenever their password changes',
+    variables: ['name', 'changedAt'],
+    subject: 'Your Password Was Changed - NRBC Arepo',
+    html: `<h2>Your Password Was Changed</h2>
+<p>Dear {{name}},</p>
+<p>The password for your New Revival Baptist Church account was changed on {{changedAt}}.</p>
+<p>If this wasn't you, please contact the church office straight away.</p>
+<p>New Revival Baptist Church</p>`,
+    text: `Your Password Was Changed
+
+Dear {{name}},
+
+The password for your New Revival Baptist Church account was changed on {{changedAt}}.
+
+If this wasn't you, please contact the church office straight away.
+
+New Revival Baptist Church`
+  },
+  'account-locked': {
+    description: 'Notice sent to a user when repeated failed sign-ins lock their account',
+    variables: ['name', 'ip', 'lockedUntil'],
+    subject: 'Your Account Has Been Locked - NRBC Arepo',
+    html: `<h2>Your Account Has Been Locked</h2>
+<p>Dear {{name}},</p>
+<p>There were too many failed attempts to sign in to your New Revival Baptist Church account, most recently from IP address {{ip}}. To keep it safe, signing in is blocked until {{lockedUntil}}.</p>
+<p>If this was you, just wait and try again, or use "Forgot password" to choose a new password. If it wasn't you, please change your password once the lock ends and let the church office know.</p>
+<p>New Revival Baptist Church</p>`,
+    text: `Your Account Has Been Locked
+
+Dear {{name}},
+
+There were too many failed attempts to sign in to your New Revival Baptist Church account, most recently from IP address {{ip}}. To keep it safe, signing in is blocked until {{lockedUntil}}.
+
+If this was you, just wait and try again, or use "Forgot password" to choose a new password. If it wasn't you, please change your password once the lock ends and let the church office know.
+
+New Revival Baptist Church`
+  }
+};
+
+const escapeTemplateHtml = (value) => escapeHtml(value).replace(/\r?\n/g, '<br>');
+const keepTemplateText = (value) => value;
+
+// Fill in a template. Output is never rescanned, so values that happen to
+// contain {{tags}} are left as typed.
+const renderTemplate = (template, data, escape) => template.replace(
+  TEMPLATE_TAG,
+  (match, type, section, inner, name) => {
+    if (type) {
+      return Boolean(data[section]) === (type === '#') ? renderTemplate(inner, data, escape) : '';
+    }
+    return data[name] == null ? '' : escape(String(data[name]));
+  }
+);
+
+const renderLayout = (layout, content, data, escape) => layout
+  .split(LAYOUT_CONTENT)
+  .map(part => renderTemplate(part, data, escape))
+  .join(content);
+
+// The admin's version of a template if there is one, otherwise the built-in
+const getEmailTemplate = async (key) => {
+  const custom = await EmailTemplate.findOne({ key }).lean();
+  return custom ? { ...EMAIL_TEMPLATES[key], ...custom, isCustom: true } : EMAIL_TEMPLATES[key];
+};
+
+// Sample values used for previews and to check edited templates render
+const sampleTemplateData = (key) => Object.fromEntries(
+  EMAIL_TEMPLATES[key].variables.map(variable => [variable, `[${variable}]`])
+);
+
+const renderSubject = (subject, data) => renderTemplate(subject || '', data, keepTemplateText)
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Wrap already rendered HTML and text in the shared layout. `unsubscribeUrl`
+// and `preferencesUrl` add subscription links to the footer.
+const applyEmailLayout = async ({ subject, html, text }, { unsubscribeUrl, preferencesUrl } = {}) => {
+  const layout = await getEmailTemplate('layout');
+  const layoutData = {
+    churchName: process.env.CHURCH_NAME || 'New Revival Baptist Church',
+    churchLocation: process.env.CHURCH_LOCATION || 'Arepo, Ogun State, Nigeria',
+    logoUrl: process.env.EMAIL_LOGO_URL || `${SITE_URL}/logo.png`,
+    siteUrl: SITE_URL,
+    unsubscribeUrl,
+    preferencesUrl,
+    year: new Date().getFullYear()
+  };
+
+  return {
+    subject,
+    html: renderLayout(layout.html, html, layoutData, escapeTemplateHtml),
+    text: renderLayout(layout.text, text, layoutData, keepTemplateText)
+  };
+};
+
+// Render a template into { subject, html, text } inside the shared layout
+const renderEmail = async (key, data, options) => {
+  const template = await getEmailTemplate(key);
+
+  return applyEmailLayout({
+    subject: renderSubject(template.subject, data),
+    html: renderTemplate(template.html, data, escapeTemplateHtml),
+    text: renderTemplate(template.text, data, keepTemplateText)
+  }, options);
+};
+
+// Render a templated email and add it to the email queue. `options` may add
+// attachments, replyTo, headers, unsubscribeUrl or preferencesUrl.
+const sendTemplatedEmail = async (key, to, data, { unsubscribeUrl, preferencesUrl, ...options } = {}) => {
+  const { subject, html, text } = await renderEmail(key, data, { unsubscribeUrl, preferencesUrl });
+  return queueEmail({ to, subject, html, text, ...options }, { template: key });
+};
+
+// =============================================================================
+// NEWSLETTER CAMPAIGNS
+// =============================================================================
+
+// Scheduled campaigns start sending once due: the active subscribers are
+// snapshotted as recipients, then a batch of them is added to the email queue
+// each interval so a newsletter never crowds out other mail. The email worker
+// reports each delivery back onto the recipient.
+const NEWSLETTER_BATCH_SIZE = parseInt(process.env.NEWSLETTER_BATCH_SIZE) || 50;
+const NEWSLETTER_BATCH_INTERVAL_MS = parseInt(process.env.NEWSLETTER_BATCH_INTERVAL_MS) || 60 * 1000;
+
+let campaignTimer = null;
+let campaignsBusy = false;
+
+// Plain-text fallback for campaigns written only in HTML
+const htmlToText = (html) => String(html)
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<(br|\/p|\/div|\/h[1-6]|\/li|\/tr)\s*\/?>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Campaign content is written by admins and used as is, apart from the
+// {{name}} and {{email}} placeholders, which are escaped like any template value
+const renderCampaignEmail = (campaign, recipient, options) => {
+  const data = { name: recipient.name || 'Friend', email: recipient.email };
+
+  return applyEmailLayout({
+    subject: renderSubject(campaign.subject, data),
+    html: renderTemplate(campaign.html, data, escapeTemplateHtml),
+    text: renderTemplate(campaign.text || htmlToText(campaign.html), data, keepTemplateText)
+  }, options);
+};
+
+const countCampaignRecipients = (recipients) => {
+  const counts = { total: recipients.length };
+  CAMPAIGN_RECIPIENT_STATUSES.forEach(status => { counts[status] = 0; });
+  recipients.forEach(recipient => { counts[recipient.status]++; });
+  return counts;
+};
+
+// A campaign without its (possibly long) recipient list, plus delivery counts
+const campaignSummary = (campaign) => {
+  const { recipients, ...summary } = campaign.toObject();
+  return { ...summary, counts: countCampaignRecipients(recipients) };
+};
+
+const recordCampaignDelivery = (email, status, error) => Campaign.updateOne(
+  { _id: email.campaign, 'recipients._id': email.campaignRecipient },
+  {
+    $set: status === 'sent'
+      ? { 'recipients.$.status': status, 'recipients.$.sentAt': new Date() }
+      : { 'recipients.$.status': status, 'recipients.$.error': error }
+  }
+);
+
+// Active subscribers who want a campaign on `topic` (everyone when unset)
+const campaignAudience = (topic) => (topic ? { isActive: true, topics: topic } : { isActive: true });
+
+// Start due campaigns by snapshotting their recipients
+const startDueCampaigns = async () => {
+  const due = await Campaign.find({ status: 'scheduled', scheduledAt: { $lte: new Date() } }).select('_id topic');
+
+  for (const { _id, topic } of due) {
+    const subscribers = await Newsletter.find(campaignAudience(topic)).select('email name');
+
+    await Campaign.updateOne({ _id, status: 'scheduled' }, {
+      $set: {
+        status: 'sending',
+        startedAt: new Date(),
+        recipients: subscribers.map(subscriber => ({
+          subscriber: subscriber._id,
+          email: subscriber.email,
+          name: subscriber.name
+        }))
+      }
+    });
+  }
+};
+
+// Queue up to NEWSLETTER_BATCH_SIZE pending recipients across sending campaigns
+const queueCampaignBatch = async () => {
+  let budget = NEWSLETTER_BATCH_SIZE;
+  const campaigns = await Campaign.find({ status: 'sending', 'recipients.status': 'pending' })
+    .sort({ startedAt: 1 });
+
+  for (const campaign of campaigns) {
+    const pending = campaign.recipients.filter(recipient => recipient.status === 'pending').slice(0, budget);
+
+    for (const recipient of pending) {
+      // Claim the recipient first so no other worker queues them too
+      const claimed = await Campaign.updateOne(
+        { _id: campaign._id, status: 'sending', recipients: { $elemMatch: { _id: recipient._id, status: 'pending' } } },
+        { $set: { 'recipients.$.status': 'queued', 'recipients.$.queuedAt': new Date() } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      const { headers, ...links } = newsletterEmailOptions({ _id: recipient.subscriber });
+      const { subject, html, text } = await renderCampaignEmail(campaign, recipient, links);
+      await queueEmail(
+        { to: recipient.email, subject, html, text, headers, campaign: campaign._id, campaignRecipient: recipient._id },
+        { template: 'campaign' }
+      );
+      budget--;
+    }
+
+    if (budget <= 0) break;
+  }
+};
+
+const processCampaigns = async () => {
+  if (campaignsBusy) return;
+  campaignsBusy = true;
+
+  try {
+    await startDueCampaigns();
+    await queueCampaignBatch();
+
+    // Finished once nobody is waiting to be queued or delivered
+    await Campaign.updateMany(
+      { status: 'sending', 'recipients.status': { $nin: ['pending', 'queued'] } },
+      { $set: { status: 'sent', completedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error('Newsletter campaign error:', error);
+  } finally {
+    campaignsBusy = false;
+  }
+};
+
+const startCampaignWorker = () => {
+  if (campaignTimer) return;
+  campaignTimer = setInterval(processCampaigns, NEWSLETTER_BATCH_INTERVAL_MS);
+  processCampaigns();
+};
+
+// =============================================================================
+// FILE UPLOAD CONFIGURATION
+// =============================================================================
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, 'uploads/');
+  },
+  filename: function (req, file, cb) {
+    cb(null, Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedTypes = /jpeg|jpg|png|gif|mp3|mp4|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only images, audio, video, and PDF files are allowed'));
+    }
+  }
+});
+
+// Each sermon upload field takes one kind of file
+const SERMON_UPLOAD_TYPES = {
+  audio: { extensions: ['.mp3'], mimetypes: ['audio/mpeg', 'audio/mp3'], error: 'Sermon audio must be an MP3 file' },
+  notesFile: { extensions: ['.pdf'], mimetypes: ['application/pdf'], error: 'Sermon notes must be a PDF file' }
+};
+
+// Sermon recordings run well past the general 10MB limit. Files of the wrong
+// type are skipped and reported by checkSermonUploads, so the route can
+// answer 400 and clean up whatever else was stored.
+const sermonUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 150 * 1024 * 1024 // 150MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const allowed = SERMON_UPLOAD_TYPES[file.fieldname];
+    const extname = path.extname(file.originalname).toLowerCase();
+
+    if (allowed.extensions.includes(extname) && allowed.mimetypes.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+
+    req.sermonUploadError = allowed.error;
+    cb(null, false);
+  }
+}).fields([
+  { name: 'audio', maxCount: 1 },
+  { name: 'notesFile', maxCount: 1 }
+]);
+
+// Delete a previously uploaded file given its public `/uploads/...` path
+const removeUploadedFile = async (publicPath) => {
+  if (!publicPath || !publicPath.startsWith('/uploads/')) return;
+
+  try {
+    await fs.promises.unlink(path.join('uploads', path.basename(publicPath)));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Remove upload error:', error);
+    }
+  }
+};
+
+// =============================================================================
+// RECURRING EVENTS
+// =============================================================================
+
+const OCCURRENCE_DATE_FORMAT = 'YYYY-MM-DD';
+const DEFAULT_OCCURRENCE_WINDOW_DAYS = 90;
+const MAX_OCCURRENCE_WINDOW_DAYS = 366;
+
+const RECURRENCE_UNITS = {
+  weekly: 'weeks',
+  monthly: 'months',
+  yearly: 'years'
+};
+
+const toOccurrenceKey = (date) => moment.utc(date).format(OCCURRENCE_DATE_FORMAT);
+
+// Series dates falling within [from, to]. Months or years that don't contain
+// the series' start day (the 31st, Feb 29) are skipped rather than clamped,
+// the same way calendar apps read an equivalent RRULE.
+const getSeriesDates = (event, from, to) => {
+  const start = moment.utc(event.date);
+  const unit = event.isRecurring && RECURRENCE_UNITS[event.recurringType];
+
+  if (!unit) {
+    return start.isBetween(from, to, null, '[]') ? [start.toDate()] : [];
+  }
+
+  let end = moment.utc(to);
+  if (event.recurrenceEnd && moment.utc(event.recurrenceEnd).isBefore(end)) {
+    end = moment.utc(event.recurrenceEnd);
+  }
+
+  // Jump close to the start of the window instead of walking the whole series
+  let step = 0;
+  if (start.isBefore(from)) {
+    step = Math.max(0, Math.floor(moment.utc(from).diff(start, unit, true)) - 1);
+  }
+
+  const dates = [];
+  for (; ; step++) {
+    const candidate = start.clone().add(step, unit);
+    if (candidate.isAfter(end)) break;
+    if (unit !== 'weeks' && candidate.date() !== start.date()) continue;
+    if (!candidate.isBefore(from)) dates.push(candidate.toDate());
+  }
+  return dates;
+};
+
+// Resolve the series date a YYYY-MM-DD key refers to, or null if the series
+// has no occurrence on that day
+const findSeriesDate = (event, occurrenceDate) => {
+  const day = moment.utc(occurrenceDate, OCCURRENCE_DATE_FORMAT, true);
+  if (!day.isValid()) return null;
+
+  const start = moment.utc(event.date);
+  const candidate = day.clone().set({
+    hour: start.hour(),
+    minute: start.minute(),
+    second: start.second(),
+    millisecond: start.millisecond()
+  });
+
+  const [seriesDate] = getSeriesDates(event, candidate, candidate);
+  return seriesDate || null;
+};
+
+// What the public routes show of an event: attendee and waitlist contact
+// details (and check-ins) stay behind manage-events, so only counts are given
+const toPublicEvent = (event) => {
+  const { registeredAttendees = [], waitlist = [], ...fields } = event.toObject ? event.toObject() : event;
+  return {
+    ...fields,
+    registeredCount: registeredAttendees.length,
+    spotsLeft: fields.maxAttendees ? Math.max(fields.maxAttendees - registeredAttendees.length, 0) : null,
+    waitlistCount: waitlist.length
+  };
+};
+
+const buildOccurrence = (event, seriesDate) => {
+  const { occurrenceOverrides = [], ...fields } = toPublicEvent(event);
+  const occurrenceDate = toOccurrenceKey(seriesDate);
+  const override = occurrenceOverrides.find(o => o.occurrenceDate === occurrenceDate);
+
+  const occurrence = {
+    ...fields,
+    eventId: fields._id,
+    occurrenceId: `${fields._id}_${occurrenceDate}`,
+    occurrenceDate,
+    date: seriesDate,
+    isCancelled: fields.status === 'cancelled',
+    isOverridden: false
+  };
+
+  if (override) {
+    ['date', 'time', 'location', 'description', 'note'].forEach(field => {
+      if (override[field]) occurrence[field] = override[field];
+    });
+    occurrence.isCancelled = occurrence.isCancelled || Boolean(override.isCancelled);
+    occurrence.isOverridden = true;
+  }
+
+  return occurrence;
+};
+
+// Latest date moment and Mongo can represent, for ranges with no end
+const END_OF_TIME = new Date(8.64e15);
+
+// Expand events into individual occurrences whose (possibly overridden) date
+// falls within [from, to], sorted by date. With `openEnded`, `to` only bounds
+// recurring series and every one-off event from `from` on is included.
+const expandOccurrences = (events, from, seriesTo, { includeCancelled = false, openEnded = false } = {}) => {
+  const occurrences = [];
+
+  events.forEach(event => {
+    const to = openEnded && !event.isRecurring ? END_OF_TIME : seriesTo;
+    const seriesDates = getSeriesDates(event, from, to);
+    const keys = new Set(seriesDates.map(toOccurrenceKey));
+
+    // Occurrences moved into the window from a series date outside it
+    (event.occurrenceOverrides || []).forEach(override => {
+      if (override.date && !keys.has(override.occurrenceDate) &&
+          moment.utc(override.date).isBetween(from, to, null, '[]')) {
+        const seriesDate = findSeriesDate(event, override.occurrenceDate);
+        if (seriesDate) seriesDates.push(seriesDate);
+      }
+    });
+
+    seriesDates.forEach(seriesDate => {
+      const occurrence = buildOccurrence(event, seriesDate);
+      if (!moment.utc(occurrence.date).isBetween(from, to, null, '[]')) return;
+      if (occurrence.isCancelled && !includeCancelled) return;
+      occurrences.push(occurrence);
+    });
+  });
+
+  return occurrences.sort((a, b) => a.date - b.date);
+};
+
+// Read `from`/`to` query parameters, defaulting to the next 90 days.
+// `openEnded` is set when no `to` was given.
+const parseOccurrenceRange = (query) => {
+  const from = query.from ? moment.utc(query.from) : moment.utc();
+  const to = query.to
+    ? moment.utc(query.to)
+    : from.clone().add(DEFAULT_OCCURRENCE_WINDOW_DAYS, 'days');
+
+  if (!from.isValid() || !to.isValid()) {
+    return { error: 'Invalid from or to date' };
+  }
+  if (to.isBefore(from)) {
+    return { error: '"to" must not be before "from"' };
+  }
+  if (to.diff(from, 'days') > MAX_OCCURRENCE_WINDOW_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_OCCURRENCE_WINDOW_DAYS} days` };
+  }
+
+  return { from: from.toDate(), to: to.toDate(), openEnded: !query.to };
+};
+
+// Mongo filter for events that may have an occurrence within [from, to]
+// (see expandOccurrences for `openEnded`)
+const occurrenceRangeQuery = (from, to, { openEnded = false } = {}) => ({
+  $or: [
+    { isRecurring: { $ne: true }, date: openEnded ? { $gte: from } : { $gte: from, $lte: to } },
+    {
+      isRecurring: true,
+      date: { $lte: to },
+      $or: [{ recurrenceEnd: null }, { recurrenceEnd: { $gte: from } }]
+    },
+    { 'occurrenceOverrides.date': { $gte: from, $lte: to } }
+  ]
+});
+
+// =============================================================================
+// ICALENDAR (RFC 5545)
+// =============================================================================
+
+const CHURCH_TIMEZONE = process.env.CHURCH_TIMEZONE || 'Africa/Lagos';
+const ICAL_UID_DOMAIN = 'nrbcarepo.org';
+const ICAL_FEED_HISTORY_DAYS = 90;
+const DEFAULT_EVENT_DURATION_MINUTES = 120;
+
+const ICAL_FREQUENCIES = {
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY'
+};
+
+const ICAL_STATUSES = {
+  scheduled: 'CONFIRMED',
+  postponed: 'TENTATIVE',
+  cancelled: 'CANCELLED'
+};
+
+const CLOCK_TIME_PATTERN = /^(\d{1,2})(?:[:.](\d{2}))?\s*(?:([ap])\.?\s*m\.?)?$/i;
+
+// Parse a single clock time like "9:00 AM", "6.30pm" or "18:30"
+const parseClockTime = (value, fallbackMeridiem) => {
+  const match = CLOCK_TIME_PATTERN.exec(value.trim());
+  if (!match) return null;
+
+  let hour = parseInt(match[1]);
+  const minute = match[2] ? parseInt(match[2]) : 0;
+  const meridiem = (match[3] || fallbackMeridiem || '').toLowerCase();
+
+  if (minute > 59) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+
+  return { hour, minute, meridiem: match[3] ? match[3].toLowerCase() : null };
+};
+
+// Parse the free-text `time` field ("9:00 AM", "9 - 11 AM", "6:30 PM to 9 PM").
+// Returns null when the text isn't a recognisable time.
+const parseEventTime = (time) => {
+  if (!time) return null;
+
+  const [startText, endText] = String(time).split(/\s*(?:-|–|—|\bto\b)\s*/i);
+  const end = endText ? parseClockTime(endText) : null;
+  let start = parseClockTime(startText, end && end.meridiem);
+
+  // A start without its own AM/PM borrows the end's only when that keeps it
+  // before the end: "9 - 11 AM" is 9 AM, but "11 - 1 PM" is 11 AM
+  if (start && end && end.meridiem && !start.meridiem &&
+      start.hour * 60 + start.minute >= end.hour * 60 + end.minute) {
+    start = parseClockTime(startText, end.meridiem === 'p' ? 'a' : 'p');
+  }
+
+  if (!start) return null;
+  return { start, end };
+};
+
+// Start and end of an event on a given day in the church's timezone. Stored
+// dates carry the calendar day in UTC; the time of day comes from `time`.
+// Events without a parseable time are treated as all-day.
+const getEventTimes = (date, time) => {
+  const day = moment.utc(date).format('YYYY-MM-DD');
+  const parsed = parseEventTime(time);
+
+  if (!parsed) {
+    const start = moment.tz(day, CHURCH_TIMEZONE);
+    return { start, end: start.clone().add(1, 'day'), allDay: true };
+  }
+
+  const start = moment.tz(day, CHURCH_TIMEZONE).set({ hour: parsed.start.hour, minute: parsed.start.minute });
+  let end = start.clone().add(DEFAULT_EVENT_DURATION_MINUTES, 'minutes');
+
+  if (parsed.end) {
+    end = start.clone().set({ hour: parsed.end.hour, minute: parsed.end.minute });
+    if (!end.isAfter(start)) end.add(1, 'day');
+  }
+
+  return { start, end, allDay: false };
+};
+
+const escapeICalText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets
+const foldICalLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const formatICalUtc = (value) => moment.utc(value).format('YYYYMMDD[T]HHmmss[Z]');
+
+// DTSTART/DTEND style property for a moment in the church's timezone
+const icalDateProperty = (name, value, allDay) => (allDay
+  ? `${name};VALUE=DATE:${value.format('YYYYMMDD')}`
+  : `${name};TZID=${CHURCH_TIMEZONE}:${value.format('YYYYMMDD[T]HHmmss')}`);
+
+// A single STANDARD block using the zone's current offset. The default zone
+// (West Africa Time) has no daylight saving, so that describes it fully.
+const buildVTimezone = () => {
+  const now = moment.tz(CHURCH_TIMEZONE);
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${CHURCH_TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    `TZOFFSETFROM:${now.format('ZZ')}`,
+    `TZOFFSETTO:${now.format('ZZ')}`,
+    `TZNAME:${now.zoneAbbr()}`,
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+};
+
+// VEVENT components for an event: the event (or series) itself, plus one
+// component per overridden occurrence, linked back through RECURRENCE-ID
+const buildVEvents = (event) => {
+  const uid = `${event._id}@${ICAL_UID_DOMAIN}`;
+  const stamp = formatICalUtc(new Date());
+  const series = getEventTimes(event.date, event.time);
+  const overrides = event.occurrenceOverrides || [];
+
+  const describe = (fields) => [
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    icalDateProperty('DTSTART', fields.start, fields.allDay),
+    icalDateProperty('DTEND', fields.end, fields.allDay),
+    `SUMMARY:${escapeICalText(event.title)}`,
+    `DESCRIPTION:${escapeICalText(fields.description)}`,
+    `LOCATION:${escapeICalText(fields.location)}`,
+    `CATEGORIES:${escapeICalText(event.category)}`,
+    `STATUS:${ICAL_STATUSES[event.status] || 'CONFIRMED'}`
+  ];
+
+  const lines = ['BEGIN:VEVENT', ...describe({ ...series, description: event.description, location: event.location })];
+
+  if (event.isRecurring && ICAL_FREQUENCIES[event.recurringType]) {
+    let rule = `RRULE:FREQ=${ICAL_FREQUENCIES[event.recurringType]}`;
+    if (event.recurrenceEnd) {
+      const until = getEventTimes(event.recurrenceEnd, event.time).start.endOf('day');
+      rule += `;UNTIL=${series.allDay ? until.format('YYYYMMDD') : formatICalUtc(until)}`;
+    }
+    lines.push(rule);
+
+    overrides
+      .filter(override => override.isCancelled)
+      .forEach(override => {
+        const original = getEventTimes(override.occurrenceDate, event.time);
+        lines.push(icalDateProperty('EXDATE', original.start, original.allDay));
+      });
+  }
+
+  lines.push('END:VEVENT');
+
+  if (event.isRecurring) {
+    overrides
+      .filter(override => !override.isCancelled)
+      .forEach(override => {
+        const original = getEventTimes(override.occurrenceDate, event.time);
+        const moved = getEventTimes(override.date || override.occurrenceDate, override.time || event.time);
+        const description = [override.description || event.description, override.note]
+          .filter(Boolean)
+          .join('\n\n');
+
+        lines.push(
+          'BEGIN:VEVENT',
+          ...describe({ ...moved, description, location: override.location || event.location }),
+          icalDateProperty('RECURRENCE-ID', original.start, original.allDay),
+          'END:VEVENT'
+        );
+      });
+  }
+
+  return lines;
+};
+
+const buildICalendar = (events, calendarName) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:-//${ICAL_UID_DOMAIN}//NRBC Church API//EN`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeICalText(calendarName)}`,
+  `X-WR-TIMEZONE:${CHURCH_TIMEZONE}`,
+  ...buildVTimezone(),
+  ...events.flatMap(buildVEvents),
+  'END:VCALENDAR'
+].map(foldICalLine).join('\r\n') + '\r\n';
+
+// Events worth publishing in a feed: anything from the recent past onwards,
+// plus recurring series that haven't ended
+const calendarFeedQuery = () => {
+  const since = moment.utc().subtract(ICAL_FEED_HISTORY_DAYS, 'days').toDate();
+  return {
+    $or: [
+      { date: { $gte: since } },
+      { isRecurring: true, $or: [{ recurrenceEnd: null }, { recurrenceEnd: { $gte: since } }] }
+    ]
+  };
+};
+
+const sendICalendar = (res, calendar, filename, download) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`);
+  res.send(calendar);
+};
+
+// =============================================================================
+// EVENT LIFECYCLE
+// =============================================================================
+
+// Read the event fields present in a (possibly multipart) request body
+const readEventFields = (body) => {
+  const fields = {};
+
+  ['title', 'description', 'time', 'location', 'category', 'recurringType', 'status', 'statusNote']
+    .forEach(field => {
+      if (body[field] !== undefined) fields[field] = body[field];
+    });
+
+  if (body.date !== undefined) fields.date = new Date(body.date);
+  if (body.isRecurring !== undefined) fields.isRecurring = body.isRecurring === true || body.isRecurring === 'true';
+  if (body.waitlistEnabled !== undefined) fields.waitlistEnabled = body.waitlistEnabled === true || body.waitlistEnabled === 'true';
+  if (body.recurrenceEnd !== undefined) fields.recurrenceEnd = body.recurrenceEnd ? new Date(body.recurrenceEnd) : null;
+  if (body.maxAttendees !== undefined) fields.maxAttendees = body.maxAttendees ? parseInt(body.maxAttendees) : null;
+
+  return fields;
+};
+
+// Everything readEventFields accepts
+const EVENT_EDITABLE_FIELDS = [
+  'title', 'description', 'date', 'time', 'location', 'category', 'isRecurring', 'recurringType',
+  'recurrenceEnd', 'status', 'statusNote', 'maxAttendees', 'waitlistEnabled'
+];
+
+// Which change attendees should hear about, if any
+const getEventChange = (before, event) => {
+  if (event.status !== before.status && event.status !== 'scheduled') {
+    return event.status;
+  }
+  if (event.status !== 'cancelled' && (
+    event.date.getTime() !== before.date.getTime() ||
+    event.time !== before.time ||
+    event.location !== before.location
+  )) {
+    return 'rescheduled';
+  }
+  return null;
+};
+
+const EVENT_CHANGE_SUBJECTS = {
+  cancelled: 'Event Cancelled',
+  postponed: 'Event Postponed',
+  rescheduled: 'Event Details Changed'
+};
+
+// Email every registered attendee about a cancellation, postponement or
+// change of date, time or location. Failures are logged, not thrown, so the
+// admin's change still goes through.
+const notifyEventAttendees = async (event, change) => {
+  const attendees = event.registeredAttendees.filter(attendee => attendee.email);
+  if (!attendees.length) return;
+
+  const results = await Promise.allSettled(attendees.map(attendee => sendTemplatedEmail('event-change', attendee.email, {
+    changeTitle: EVENT_CHANGE_SUBJECTS[change],
+    name: attendee.name,
+    eventTitle: event.title,
+    [change]: true,
+    date: event.date.toDateString(),
+    time: event.time,
+    location: event.location,
+    statusNote: event.statusNote
+  })));
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Event change notification error:', result.reason));
+};
+
+// =============================================================================
+// EVENT REGISTRATION & WAITLIST
+// =============================================================================
+
+const REGISTRATION_TOKEN_PURPOSE = 'event-registration';
+
+// Cancel links stay valid until a day after the event (the end of the series
+// for recurring events, or a year at most when the series has no end)
+const CANCEL_LINK_GRACE_MS = 24 * 60 * 60 * 1000;
+const CANCEL_LINK_MAX_MS = 365 * 24 * 60 * 60 * 1000;
+
+const cancelLinkExpiry = (event) => {
+  const now = Date.now();
+  const lastDate = event.isRecurring
+    ? (event.recurrenceEnd ? new Date(event.recurrenceEnd).getTime() : now + CANCEL_LINK_MAX_MS)
+    : new Date(event.date).getTime();
+  const expiresAt = Math.min(Math.max(lastDate, now) + CANCEL_LINK_GRACE_MS, now + CANCEL_LINK_MAX_MS);
+  return Math.floor(expiresAt / 1000);
+};
+
+// Signed link letting an attendee (or waitlisted person) cancel their own
+// registration without logging in
+const registrationCancelUrl = (event, email) => {
+  const token = signLinkToken(REGISTRATION_TOKEN_PURPOSE, {
+    event: String(event._id),
+    email,
+    exp: cancelLinkExpiry(event)
+  });
+  return `${API_URL}/api/events/${event._id}/registration/cancel?token=${encodeURIComponent(token)}`;
+};
+
+// Returns the email a cancel token was issued for, or null if it is forged or
+// belongs to a different event
+const verifyRegistrationToken = (token, eventId) => {
+  const payload = verifyLinkToken(token, REGISTRATION_TOKEN_PURPOSE);
+  return payload && payload.event === String(eventId) ? payload.email : null;
+};
+
+// Tickets have the form <eventId>.<ticketCode>.<signature>. The signature
+// lets the door reject forged codes before touching the database; the
+// ticket code itself is random and stored on the registration.
+const generateTicketCode = () => crypto.randomBytes(12).toString('hex');
+
+const signTicket = (eventId, ticketCode) => {
+  const signature = crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${eventId}.${ticketCode}`)
+    .digest('base64url')
+    .slice(0, 22);
+  return `${eventId}.${ticketCode}.${signature}`;
+};
+
+// Returns { eventId, ticketCode } for a genuine ticket, or null
+const verifyTicket = (ticket) => {
+  const [eventId, ticketCode, signature] = String(ticket || '').trim().split('.');
+  if (!eventId || !ticketCode || !signature) return null;
+
+  const expected = signTicket(eventId, ticketCode).split('.')[2];
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  return { eventId, ticketCode };
+};
+
+// Registration is done with single-document conditional updates so the
+// capacity and duplicate checks happen inside MongoDB, atomically with the
+// write. Checking in JS and then saving lets two people take the last seat.
+const REGISTRATION_ATTEMPTS = 3;
+
+const hasFreeSeat = {
+  $or: [
+    { maxAttendees: { $in: [null, 0] } },
+    { $expr: { $lt: [{ $size: '$registeredAttendees' }, '$maxAttendees'] } }
+  ]
+};
+
+// Freed seats go to the waitlist first (see promoteFromWaitlist), so new
+// registrants only take a seat directly while nobody is queued
+const nobodyWaiting = { 'waitlist.0': { $exists: false } };
+
+const isFullOrQueued = {
+  $or: [
+    { maxAttendees: { $gt: 0 }, $expr: { $gte: [{ $size: '$registeredAttendees' }, '$maxAttendees'] } },
+    { 'waitlist.0': { $exists: true } }
+  ]
+};
+
+const notSignedUp = (email) => ({
+  'registeredAttendees.email': { $ne: email },
+  'waitlist.email': { $ne: email }
+});
+
+// Take a seat if one is free, otherwise join the waitlist if the event has
+// one. Resolves to { event, waitlisted } or { error, status }.
+const registerAttendee = async (eventId, attendee) => {
+  for (let attempt = 0; attempt < REGISTRATION_ATTEMPTS; attempt++) {
+    const registered = await Event.findOneAndUpdate(
+      { _id: eventId, status: { $ne: 'cancelled' }, ...notSignedUp(attendee.email), ...nobodyWaiting, ...hasFreeSeat },
+      { $push: { registeredAttendees: { ...attendee, ticketCode: generateTicketCode() } } },
+      { new: true }
+    );
+    if (registered) return { event: registered, waitlisted: false };
+
+    const waitlisted = await Event.findOneAndUpdate(
+      { _id: eventId, status: { $ne: 'cancelled' }, waitlistEnabled: true, ...notSignedUp(attendee.email), ...isFullOrQueued },
+      { $push: { waitlist: attendee } },
+      { new: true }
+    );
+    if (waitlisted) return { event: waitlisted, waitlisted: true };
+
+    // Neither update matched: work out why. A seat may also have opened up
+    // between the two updates, in which case try again.
+    const event = await Event.findById(eventId)
+      .select('status maxAttendees waitlistEnabled registeredAttendees.email waitlist.email')
+      .lean();
+
+    if (!event) return { status: 404, error: 'Event not found' };
+    if (event.status === 'cancelled') return { status: 400, error: 'This event has been cancelled' };
+    if (event.registeredAttendees.some(a => a.email === attendee.email)) {
+      return { status: 400, error: 'Already registered for this event' };
+    }
+    if (event.waitlist.some(entry => entry.email === attendee.email)) {
+      return { status: 400, error: 'Already on the waitlist for this event' };
+    }
+    if (!event.waitlistEnabled &&
+      (event.waitlist.length || (event.maxAttendees && event.registeredAttendees.length >= event.maxAttendees))) {
+      return { status: 400, error: 'Event is at full capacity' };
+    }
+  }
+
+  return { status: 409, error: 'Registration is busy, please try again' };
+};
+
+// Move people from the front of the waitlist into free seats, one
+// conditional update at a time. Resolves to the updated event (or null if it
+// is gone) and whoever was promoted, so the caller can email them.
+const promoteFromWaitlist = async (eventId) => {
+  const promoted = [];
+  let event = await Event.findById(eventId);
+
+  while (event && event.status === 'scheduled' && event.waitlist.length &&
+    (!event.maxAttendees || event.registeredAttendees.length < event.maxAttendees)) {
+    const { _id, name, email, phone } = event.waitlist[0];
+    const ticketCode = generateTicketCode();
+
+    const updated = await Event.findOneAndUpdate(
+      { _id: eventId, status: 'scheduled', 'waitlist.0._id': _id, ...hasFreeSeat },
+      {
+        $pull: { waitlist: { _id } },
+        $push: { registeredAttendees: { name, email, phone, ticketCode } }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      promoted.push({ name, email, ticketCode });
+      event = updated;
+    } else {
+      // Someone else changed the event first; look again
+      event = await Event.findById(eventId);
+    }
+  }
+
+  return { event, promoted };
+};
+
+// Confirmation email with the attendee's ticket as a QR code to show at the door
+const sendRegistrationConfirmation = async (event, attendee, { promoted = false } = {}) => {
+  const ticket = signTicket(event._id, attendee.ticketCode);
+  const qrCode = await QRCode.toBuffer(ticket, { width: 240, margin: 1 });
+
+  return sendTemplatedEmail('registration-confirmed', attendee.email, {
+    name: attendee.name,
+    eventTitle: event.title,
+    promoted,
+    date: event.date.toDateString(),
+    time: event.time,
+    location: event.location,
+    ticket,
+    cancelUrl: registrationCancelUrl(event, attendee.email)
+  }, {
+    attachments: [{ filename: 'ticket.png', content: qrCode, cid: 'ticket-qr' }]
+  });
+};
+
+const sendWaitlistConfirmation = (event, attendee, position) => sendTemplatedEmail('waitlist-joined', attendee.email, {
+  name: attendee.name,
+  eventTitle: event.title,
+  position,
+  cancelUrl: registrationCancelUrl(event, attendee.email)
+});
+
+// Email everyone promoted off the waitlist; failures are logged, not thrown
+const notifyPromotedAttendees = async (event, promoted) => {
+  const results = await Promise.allSettled(
+    promoted.map(attendee => sendRegistrationConfirmation(event, attendee, { promoted: true }))
+  );
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Waitlist promotion email error:', result.reason));
+};
+
+// =============================================================================
+// SERMON HELPERS
+// =============================================================================
+
+// Read the sermon fields present in a (possibly multipart) request body
+const readSermonFields = (body) => {
+  const fields = {};
+
+  ['title', 'speaker', 'scripture', 'summary', 'audioUrl', 'videoUrl', 'notes', 'series']
+    .forEach(field => {
+      if (body[field] !== undefined) fields[field] = body[field];
+    });
+
+  if (body.date !== undefined) fields.date = new Date(body.date);
+  if (body.tags !== undefined) {
+    const tags = Array.isArray(body.tags) ? body.tags : String(body.tags).split(',');
+    fields.tags = tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+
+  return fields;
+};
+
+// Public paths of the files multer stored for this request
+const readSermonUploads = (req) => {
+  const files = {};
+  const uploaded = req.files || {};
+
+  if (uploaded.audio) files.audioUrl = `/uploads/${uploaded.audio[0].filename}`;
+  if (uploaded.notesFile) files.notesFile = `/uploads/${uploaded.notesFile[0].filename}`;
+
+  return files;
+};
+
+// Why sermonUpload skipped a file, or null if every file was accepted
+const checkSermonUploads = (req) => req.sermonUploadError || null;
+
+const removeSermonUploads = (files) => Promise.all(Object.values(files).map(removeUploadedFile));
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const exactMatch = (value) => new RegExp(`^${escapeRegExp(String(value).trim())}$`, 'i');
+
+// Whether a query parameter is one of a schema path's enum values. Filters
+// check this first, so objects like ?status[$ne]=x never reach Mongo.
+const isEnumValue = (schema, path, value) => typeof value === 'string' && schema.path(path).enumValues.includes(value);
+
+const MAX_PAGE_SIZE = 50;
+
+// Page and page size from the query, kept to at least 1 (and a sensible
+// page size) so bad values can't reach $skip or $limit
+const readPage = (query, defaultLimit = 10) => {
+  const page = Math.min(Math.max(parseInt(query.page) || 1, 1), Number.MAX_SAFE_INTEGER);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Mongo filter for the series, speaker, tags, scripture and date range query
+// parameters.
+// Returns { error } for an invalid date.
+const buildSermonFilter = (query) => {
+  const filter = {};
+
+  if (query.series) filter.series = exactMatch(query.series);
+  if (query.speaker) filter.speaker = exactMatch(query.speaker);
+
+  if (query.tags) {
+    const tags = String(query.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.length) filter.tags = { $all: tags.map(exactMatch) };
+  }
+
+  if (query.scripture) {
+    const { refs, error } = parseScripture(query.scripture);
+    if (error) return { error };
+    if (refs.length) Object.assign(filter, scriptureOverlapFilter(refs));
+  }
+
+  if (query.from || query.to) {
+    filter.date = {};
+    if (query.from) filter.date.$gte = new Date(query.from);
+    if (query.to) filter.date.$lte = new Date(query.to);
+    if (Object.values(filter.date).some(date => isNaN(date))) {
+      return { error: 'Invalid from or to date' };
+    }
+  }
+
+  return { filter };
+};
+
+const countBy = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// =============================================================================
+// SCRIPTURE REFERENCES
+// =============================================================================
+
+// [name, chapters, ...abbreviations]. Any unambiguous prefix of a book's name
+// is also accepted ("Matt", "Rom", "1 Cor"), so only abbreviations that are
+// not prefixes need listing.
+const BIBLE_BOOKS = [
+  ['Genesis', 50, 'gn'], ['Exodus', 40, 'exo', 'exod'], ['Leviticus', 27, 'lv'], ['Numbers', 36, 'nm', 'nb'],
+  ['Deuteronomy', 34, 'dt'], ['Joshua', 24, 'jsh'], ['Judges', 21, 'jdg', 'jg', 'judg'], ['Ruth', 4, 'rth'],
+  ['1 Samuel', 31, '1sm'], ['2 Samuel', 24, '2sm'], ['1 Kings', 22, '1kgs'], ['2 Kings', 25, '2kgs'],
+  ['1 Chronicles', 29, '1chr'], ['2 Chronicles', 36, '2chr'], ['Ezra', 10, 'ezr'], ['Nehemiah', 13, 'neh'],
+  ['Esther', 10, 'est'], ['Job', 42, 'jb'], ['Psalms', 150, 'ps', 'psalm', 'pss'], ['Proverbs', 31, 'prv'],
+  ['Ecclesiastes', 12, 'eccl', 'qoh'], ['Song of Solomon', 8, 'songofsongs', 'song', 'sos', 'canticles'],
+  ['Isaiah', 66, 'isa'], ['Jeremiah', 52, 'jer'], ['Lamentations', 5, 'lam'], ['Ezekiel', 48, 'ezk', 'ezek'],
+  ['Daniel', 12, 'dn'], ['Hosea', 14, 'hos'], ['Joel', 3, 'jl'], ['Amos', 9, 'am'], ['Obadiah', 1, 'ob', 'obad'],
+  ['Jonah', 4, 'jnh', 'jon'], ['Micah', 7, 'mc'], ['Nahum', 3, 'nah'], ['Habakkuk', 3, 'hb', 'hab'],
+  ['Zephaniah', 3, 'zp', 'zeph'], ['Haggai', 2, 'hg'], ['Zechariah', 14, 'zc', 'zech'], ['Malachi', 4, 'ml', 'mal'],
+  ['Matthew', 28, 'mt'], ['Mark', 16, 'mk', 'mrk'], ['Luke', 24, 'lk'], ['John', 21, 'jn', 'jhn'],
+  ['Acts', 28], ['Romans', 16, 'rm'], ['1 Corinthians', 16], ['2 Corinthians', 13], ['Galatians', 6],
+  ['Ephesians', 6], ['Philippians', 4, 'php', 'phil'], ['Colossians', 4], ['1 Thessalonians', 5],
+  ['2 Thessalonians', 3], ['1 Timothy', 6], ['2 Timothy', 4], ['Titus', 3], ['Philemon', 1, 'phm', 'phlm'],
+  ['Hebrews', 13], ['James', 5, 'jas', 'jm'], ['1 Peter', 5, '1pt'], ['2 Peter', 3, '2pt'],
+  ['1 John', 5, '1jn', '1jhn'], ['2 John', 1, '2jn', '2jhn'], ['3 John', 1, '3jn', '3jhn'], ['Jude', 1, 'jd'],
+  ['Revelation', 22, 'rv', 'revelations']
+].map(([name, chapters, ...abbreviations], index) => ({ name, chapters, abbreviations, number: index + 1 }));
+
+const MAX_VERSE = 176; // Psalm 119
+
+// "I John", "First John", "1st John" and "1John" all become "1john"
+const normalizeBookName = (value) => value
+  .toLowerCase()
+  .replace(/\./g, ' ')
+  .trim()
+  .replace(/^(?:iii|third|3rd)\s+/, '3')
+  .replace(/^(?:ii|second|2nd)\s+/, '2')
+  .replace(/^(?:i|first|1st)\s+/, '1')
+  .replace(/\s+/g, '');
+
+const BOOK_ALIASES = new Map();
+BIBLE_BOOKS.forEach(book => {
+  BOOK_ALIASES.set(normalizeBookName(book.name), book);
+  book.abbreviations.forEach(abbreviation => BOOK_ALIASES.set(abbreviation, book));
+});
+
+const findBook = (value) => {
+  const key = normalizeBookName(value);
+  if (BOOK_ALIASES.has(key)) return BOOK_ALIASES.get(key);
+  if (key.length < 2) return null;
+
+  const matches = BIBLE_BOOKS.filter(book => normalizeBookName(book.name).startsWith(key));
+  return matches.length === 1 ? matches[0] : null;
+};
+
+const scriptureKey = (book, chapter, verse) => book.number * 1e6 + chapter * 1e3 + verse;
+
+const buildScriptureRef = (book, startChapter, startVerse, endChapter, endVerse) => {
+  const ref = { book: book.name, bookNumber: book.number, startChapter, startVerse, endChapter, endVerse };
+
+  if (!startChapter) {
+    ref.text = book.name;
+    ref.start = scriptureKey(book, 0, 0);
+    ref.end = scriptureKey(book, 999, 999);
+    return ref;
+  }
+
+  const from = startVerse ? `${startChapter}:${startVerse}` : `${startChapter}`;
+  let to = '';
+  if (endChapter !== startChapter) {
+    to = endVerse ? `-${endChapter}:${endVerse}` : `-${endChapter}`;
+  } else if (endVerse !== startVerse) {
+    to = `-${endVerse}`;
+  }
+
+  ref.text = `${book.name} ${from}${to}`;
+  ref.start = scriptureKey(book, startChapter, startVerse || 0);
+  ref.end = scriptureKey(book, endChapter, endVerse || 999);
+  return ref;
+};
+
+const REFERENCE_PATTERN = /^(.+?)\s*(\d[\d\s:.,\-–—]*)?$/;
+const RANGE_PART_PATTERN = /^(\d+)(?:[:.](\d+))?(?:\s*[-–—]\s*(\d+)(?:[:.](\d+))?)?$/;
+
+// Parse the chapter/verse part after the book name, e.g. "6:9-13",
+// "3:16-4:2", "8-9" or "3:16, 18, 4:1". Single-chapter books read a bare
+// number as a verse ("Jude 3").
+const parseChapterVerses = (book, text) => {
+  const refs = [];
+  let chapter = null;
+  let hasVerses = false;
+
+  for (const item of text.split(',').map(part => part.trim())) {
+    const match = RANGE_PART_PATTERN.exec(item);
+    if (!match) return null;
+
+    const [, first, firstVerse, second, secondVerse] = match.map(value => (value ? parseInt(value) : null));
+    let startChapter, startVerse, endChapter, endVerse;
+
+    if (firstVerse !== null) {
+      // chapter:verse[-verse | -chapter:verse]
+      startChapter = first;
+      startVerse = firstVerse;
+      endChapter = secondVerse !== null ? second : first;
+      endVerse = secondVerse !== null ? secondVerse : (second !== null ? second : firstVerse);
+    } else if (secondVerse !== null) {
+      return null;
+    } else if (refs.length && hasVerses) {
+      // A bare number after a verse continues the same chapter: "3:16, 18"
+      startChapter = endChapter = chapter;
+      startVerse = first;
+      endVerse = second !== null ? second : first;
+    } else if (book.chapters === 1) {
+      startChapter = endChapter = 1;
+      startVerse = first;
+      endVerse = second !== null ? second : first;
+    } else {
+      // Whole chapters: "8" or "8-9"
+      startChapter = first;
+      endChapter = second !== null ? second : first;
+      startVerse = endVerse = null;
+    }
+
+    if (startChapter < 1 || endChapter > book.chapters || endChapter < startChapter) return null;
+    if (startVerse !== null && (startVerse < 1 || endVerse > MAX_VERSE ||
+        (endChapter === startChapter && endVerse < startVerse))) return null;
+
+    chapter = endChapter;
+    hasVerses = startVerse !== null;
+    refs.push(buildScriptureRef(book, startChapter, startVerse, endChapter, endVerse));
+  }
+
+  return refs;
+};
+
+// Parse free-text references such as "Matthew 6:9-13", "1 Cor 13",
+// "Rom. 5:1-11; 8:28" or "Psalm 23; John 10:11". A reference without a book
+// name reuses the previous book. Returns { refs } or { error }.
+const parseScripture = (value) => {
+  if (!value || !String(value).trim()) return { refs: [] };
+
+  const refs = [];
+  let book = null;
+
+  for (const part of String(value).split(';').map(item => item.trim()).filter(Boolean)) {
+    const match = book && /^[\d\s:.,\-–—]+$/.test(part) ? [part, null, part] : REFERENCE_PATTERN.exec(part);
+    const error = { error: `Could not parse scripture reference "${part}"` };
+    if (!match) return error;
+
+    if (match[1]) {
+      book = findBook(match[1]);
+      if (!book) return error;
+    }
+
+    if (!match[2]) {
+      refs.push(buildScriptureRef(book, null, null, null, null));
+      continue;
+    }
+
+    const parsed = parseChapterVerses(book, match[2].trim().replace(/[,.\s]+$/, ''));
+    if (!parsed) return error;
+    refs.push(...parsed);
+  }
+
+  return { refs };
+};
+
+// Mongo filter for sermons with a passage overlapping any of the given refs
+const scriptureOverlapFilter = (refs) => ({
+  $or: refs.map(ref => ({
+    scriptureRefs: { $elemMatch: { start: { $lte: ref.end }, end: { $gte: ref.start } } }
+  }))
+});
+
+// Parse scripture for sermons stored before references were parsed
+const backfillScriptureRefs = async () => {
+  try {
+    const sermons = await Sermon.find({
+      scripture: { $nin: [null, ''] },
+      'scriptureRefs.0': { $exists: false }
+    }).select('scripture');
+
+    for (const sermon of sermons) {
+      const { refs, error } = parseScripture(sermon.scripture);
+      if (error) {
+        console.warn(`Sermon ${sermon._id}: ${error}`);
+        continue;
+      }
+      await Sermon.updateOne({ _id: sermon._id }, { $set: { scriptureRefs: refs } });
+    }
+  } catch (error) {
+    console.error('Scripture backfill error:', error);
+  }
+};
+
+// =============================================================================
+// PODCAST FEED (RSS 2.0 + ITUNES)
+// =============================================================================
+
+const PODCAST_MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/x-m4a',
+  '.mp4': 'video/mp4'
+};
+
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Absolute URL, MIME type and byte length for a sermon's audio. Files in
+// uploads/ are measured on disk; external URLs have no known length.
+const getEnclosure = async (audioUrl) => {
+  const extension = path.extname(audioUrl.split('?')[0]).toLowerCase();
+  const enclosure = {
+    url: audioUrl.startsWith('/') ? `${API_URL}${audioUrl}` : audioUrl,
+    type: PODCAST_MIME_TYPES[extension] || 'audio/mpeg',
+    length: 0
+  };
+
+  if (audioUrl.startsWith('/uploads/')) {
+    try {
+      const stats = await fs.promises.stat(path.join('uploads', path.basename(audioUrl)));
+      enclosure.length = stats.size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Podcast enclosure error:', error);
+      }
+    }
+  }
+
+  return enclosure;
+};
+
+const buildPodcastItem = async (sermon) => {
+  const enclosure = await getEnclosure(sermon.audioUrl);
+  const description = [sermon.summary, sermon.scripture && `Scripture: ${sermon.scripture}`]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return `
+    <item>
+      <title>${escapeHtml(sermon.title)}</title>
+      <link>${escapeHtml(`${API_URL}/api/sermons/${sermon._id}`)}</link>
+      <guid isPermaLink="false">${sermon._id}</guid>
+      <pubDate>${new Date(sermon.date).toUTCString()}</pubDate>
+      <description>${escapeHtml(description)}</description>
+      <enclosure url="${escapeHtml(enclosure.url)}" length="${enclosure.length}" type="${enclosure.type}"/>
+      <itunes:author>${escapeHtml(sermon.speaker)}</itunes:author>
+      <itunes:summary>${escapeHtml(description)}</itunes:summary>
+      <itunes:episodeType>full</itunes:episodeType>${sermon.tags && sermon.tags.length ? `
+      <itunes:keywords>${escapeHtml(sermon.tags.join(','))}</itunes:keywords>` : ''}
+    </item>`;
+};
+
+// Channel metadata comes from the CHURCH_NAME and CHURCH_LOCATION settings
+const buildPodcastFeed = async (sermons, { title, feedUrl }) => {
+  const churchName = process.env.CHURCH_NAME || 'New Revival Baptist Church';
+  const location = process.env.CHURCH_LOCATION;
+  const description = `Sermons from ${churchName}${location ? `, ${location}` : ''}.`;
+  const image = process.env.PODCAST_IMAGE_URL;
+  const items = await Promise.all(sermons.map(buildPodcastItem));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(title)}</title>
+    <link>${escapeHtml(SITE_URL)}</link>
+    <atom:link href="${escapeHtml(feedUrl)}" rel="self" type="application/rss+xml"/>
+    <description>${escapeHtml(description)}</description>
+    <language>en</language>
+    <copyright>© ${new Date().getFullYear()} ${escapeHtml(churchName)}</copyright>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+    <itunes:author>${escapeHtml(churchName)}</itunes:author>
+    <itunes:summary>${escapeHtml(description)}</itunes:summary>
+    <itunes:owner>
+      <itunes:name>${escapeHtml(churchName)}</itunes:name>${process.env.CONTACT_EMAIL ? `
+      <itunes:email>${escapeHtml(process.env.CONTACT_EMAIL)}</itunes:email>` : ''}
+    </itunes:owner>${image ? `
+    <itunes:image href="${escapeHtml(image)}"/>
+    <image>
+      <url>${escapeHtml(image)}</url>
+      <title>${escapeHtml(title)}</title>
+      <link>${escapeHtml(SITE_URL)}</link>
+    </image>` : ''}
+    <itunes:category text="Religion &amp; Spirituality">
+      <itunes:category text="Christianity"/>
+    </itunes:category>
+    <itunes:explicit>false</itunes:explicit>
+    <itunes:type>episodic</itunes:type>${items.join('')}
+  </channel>
+</rss>
+`;
+};
+
+// =============================================================================
+// SPAM PROTECTION
+// =============================================================================
+
+// Public forms run through `spamGuard`, which applies every check in
+// `spamChecks` and leaves the reasons on `req.spamReasons`. Each check is
+// { name, check(req, text) } returning a reason or null, where `text` is the
+// form's free-text fields joined together; push onto the list to add one.
+const SPAM_HONEYPOT_FIELD = 'website';
+const FORM_TOKEN_PURPOSE = 'form-render';
+const SPAM_MIN_SUBMIT_SECONDS = parseInt(process.env.SPAM_MIN_SUBMIT_SECONDS) || 3;
+const SPAM_MAX_LINKS = parseInt(process.env.SPAM_MAX_LINKS) || 2;
+// Submissions without a form token are suspect unless this is turned off,
+// e.g. while an older frontend that doesn't send one is still live
+const SPAM_REQUIRE_FORM_TOKEN = process.env.SPAM_REQUIRE_FORM_TOKEN !== 'false';
+const LINK_PATTERN = /https?:\/\/|www\.|\[url=|<a\s/gi;
+
+const SPAM_KEYWORDS = (process.env.SPAM_KEYWORDS ||
+  'viagra,cialis,casino,bitcoin,forex,backlinks,seo services,payday loan,crypto investment')
+  .split(',')
+  .map(keyword => keyword.trim().toLowerCase())
+  .filter(Boolean)
+  .map(keyword => ({ keyword, pattern: new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i') }));
+
+// Token the frontend fetches when it renders a form and sends back as
+// `formToken`, so submissions made faster than a person could type stand out
+const issueFormToken = () => signLinkToken(FORM_TOKEN_PURPOSE, {}, { expiresIn: '1d' });
+
+const spamChecks = [
+  {
+    name: 'honeypot',
+    // Hidden field people never see, so only bots fill it in
+    check: (req) => (req.body[SPAM_HONEYPOT_FIELD] ? 'honeypot' : null)
+  },
+  {
+    name: 'render-time',
+    check: (req) => {
+      const { formToken } = req.body;
+      if (!formToken) {
+        return SPAM_REQUIRE_FORM_TOKEN ? 'missing-form-token' : null;
+      }
+      const claims = verifyLinkToken(formToken, FORM_TOKEN_PURPOSE);
+      if (!claims) return 'invalid-form-token';
+      return Date.now() / 1000 - claims.iat < SPAM_MIN_SUBMIT_SECONDS ? 'submitted-too-fast' : null;
+    }
+  },
+  {
+    name: 'links',
+    check: (req, text) => ((text.match(LINK_PATTERN) || []).length > SPAM_MAX_LINKS ? 'too-many-links' : null)
+  },
+  {
+    name: 'keywords',
+    check: (req, text) => {
+      const match = SPAM_KEYWORDS.find(({ pattern }) => pattern.test(text));
+      return match ? `keyword:${match.keyword}` : null;
+    }
+  }
+];
+
+// `fields` are the body fields the content checks look at
+const spamGuard = (fields) => (req, res, next) => {
+  const text = fields
+    .map(field => req.body[field])
+    .filter(value => typeof value === 'string')
+    .join('\n');
+
+  req.spamReasons = spamChecks.map(({ check }) => check(req, text)).filter(Boolean);
+
+  if (req.spamReasons.length) {
+    console.warn(`Suspected spam on ${req.method} ${req.originalUrl}: ${req.spamReasons.join(', ')}`);
+  }
+  next();
+};
+
+// Quarantine details for a suspect submission, or undefined for a clean one
+const quarantineFor = (req) => (req.spamReasons.length
+  ? { isQuarantined: true, reasons: req.spamReasons, ip: req.ip, quarantinedAt: new Date() }
+  : undefined);
+
+// =============================================================================
+// CSV IMPORT & EXPORT
+// =============================================================================
+
+const CSV_REPORT_LIMIT = 200; // rows listed per report category
+
+// Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends).
+// Returns { rows } or { error } for an unterminated quote.
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return { error: 'CSV has an unterminated quoted field' };
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return { rows };
+};
+
+const normaliseCsvHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Read CSV records as { row, values } using `mapping` ({ field: header or
+// [headers] }, several headers being joined with a space, e.g. first and last
+// name). Fields without a mapping are matched to headers by their `aliases`.
+// Returns { records, columns } or { error }.
+const readCsvRecords = (csv, mapping, fieldAliases) => {
+  if (!csv || typeof csv !== 'string') return { error: 'csv must be the CSV file contents as a string' };
+
+  const { rows, error } = parseCsv(csv);
+  if (error) return { error };
+  if (rows.length < 2) return { error: 'CSV needs a header row and at least one data row' };
+
+  const headers = rows[0].map(header => header.trim());
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(fieldAliases)) {
+    if (mapping && mapping[field] !== undefined && mapping[field] !== null) {
+      const wanted = [].concat(mapping[field]);
+      const missing = wanted.find(header => !headers.includes(header));
+      if (missing) return { error: `Column "${missing}" (mapped to ${field}) is not in the CSV` };
+      columns[field] = wanted.map(header => headers.indexOf(header));
+    } else {
+      const index = headers.findIndex(header => aliases.includes(normaliseCsvHeader(header)));
+      columns[field] = index === -1 ? [] : [index];
+    }
+  }
+
+  if (!columns.email.length) {
+    return { error: 'No email column found; map one with mapping.email' };
+  }
+
+  const records = rows.slice(1)
+    .map((cells, index) => ({
+      row: index + 2,
+      values: Object.fromEntries(Object.entries(columns).map(([field, indexes]) =>
+        [field, indexes.map(i => (cells[i] || '').trim()).filter(Boolean).join(' ')]))
+    }))
+    .filter(({ values }) => Object.values(values).some(Boolean));
+
+  return {
+    records,
+    columns: Object.fromEntries(Object.entries(columns).map(([field, indexes]) =>
+      [field, indexes.map(i => headers[i])]))
+  };
+};
+
+const csvReportList = (list) => ({ count: list.length, rows: list.slice(0, CSV_REPORT_LIMIT) });
+
+// Validate emails, drop duplicates within the file and against existing
+// documents (emails are stored lowercase), then insert the rest unless this
+// is a dry run. `prepare(values)` returns { doc } or { error } for a record.
+const runCsvImport = async ({ records, columns, model, prepare, dryRun }) => {
+  const invalid = [];
+  const duplicates = [];
+  const existing = [];
+  const seen = new Set();
+  const candidates = [];
+
+  for (const { row, values } of records) {
+    const email = values.email.toLowerCase();
+
+    if (!validator.isEmail(email)) {
+      invalid.push({ row, email: values.email, error: 'Invalid email address' });
+      continue;
+    }
+    if (seen.has(email)) {
+      duplicates.push({ row, email });
+      continue;
+    }
+    seen.add(email);
+
+    const { doc, error } = prepare({ ...values, email });
+    if (error) {
+      invalid.push({ row, email, error });
+      continue;
+    }
+    candidates.push({ row, email, doc });
+  }
+
+  const existingEmails = new Set((await model.find({ email: { $in: candidates.map(({ email }) => email) } })
+    .select('email')
+    .lean())
+    .map(({ email }) => email));
+
+  const toCreate = candidates.filter(({ row, email }) => {
+    if (!existingEmails.has(email)) return true;
+    existing.push({ row, email });
+    return false;
+  });
+
+  let created = 0;
+  if (!dryRun && toCreate.length) {
+    try {
+      created = (await model.insertMany(toCreate.map(({ doc }) => doc), { ordered: false })).length;
+    } catch (error) {
+      // Someone else created some of these emails since the check above
+      if (!error.writeErrors) throw error;
+      created = toCreate.length - error.writeErrors.length;
+    }
+  }
+
+  return {
+    dryRun,
+    columns,
+    totalRows: records.length,
+    toCreate: toCreate.length,
+    created,
+    invalid: csvReportList(invalid),
+    duplicates: csvReportList(duplicates),
+    existing: csvReportList(existing)
+  };
+};
+
+// Imports are dry runs unless the body says dryRun: false
+const isDryRun = (body) => body.dryRun !== false && body.dryRun !== 'false';
+
+// Quote a CSV cell, and neutralise values a spreadsheet would run as a
+// formula (=, +, -, @)
+const csvCell = (value) => {
+  if (value == null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is a list of [header, record => value]
+const toCsv = (columns, records) => [
+  columns.map(([header]) => csvCell(header)).join(','),
+  ...records.map(record => columns.map(([, value]) => csvCell(value(record))).join(','))
+].join('\r\n') + '\r\n';
+
+// Send a CSV download, with a byte order mark so Excel reads it as UTF-8
+const sendCsv = (res, filename, columns, records) => {
+  res.type('text/csv');
+  res.attachment(filename);
+  res.send(`\uFEFF${toCsv(columns, records)}`);
+};
+
+// =============================================================================
+// API ROUTES
+// =============================================================================
+
+// Health Check
 app.get('/api/health', (req, res) => {
   res.json({
-    status: 'OK',
-    message: 'NRBC Church API is running',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    status: 'OK',
+    message: 'NRBC Church API is running',
+    timestamp: new Date().toISOString(),
+    version: '1.0.0'
+  });
+});
+
+// =============================================================================
+// PRAYER REQUESTS ROUTES
+// =============================================================================
+
+// Email the prayer team about a new request
+const notifyPrayerTeam = (prayerRequest) => sendTemplatedEmail('prayer-request-staff', process.env.PRAYER_EMAIL, {
+  name: prayerRequest.name,
+  email: prayerRequest.email || 'Not provided',
+  prayerRequest: prayerRequest.prayerRequest,
+  privacy: prayerRequest.isPrivate ? 'Private' : 'Can be shared (awaiting approval for the prayer wall)',
+  submittedAt: prayerRequest.createdAt.toLocaleString()
+});
+
+// Submit Prayer Request
+// Suspected spam is saved but quarantined instead of being emailed to staff
+app.post('/api/prayer-requests', prayerRequestLimiter, spamGuard(['name', 'email', 'prayerRequest']), async (req, res) => {
+  try {
+    const { name, email, prayerRequest, isPrivate, wallNameFormat, category } = req.body;
+
+    if (!name || !prayerRequest) {
+      return res.status(400).json({ error: 'Name and prayer request are required' });
+    }
+
+    // Shareable requests go into the prayer wall approval queue
+    const shareable = isPrivate === false || isPrivate === 'false';
+
+    const newPrayerRequest = new PrayerRequest({
+      name,
+      email,
+      prayerRequest,
+      isPrivate: !shareable,
+      wallStatus: shareable ? 'pending' : 'none',
+      wallNameFormat: wallNameFormat === 'full' ? 'full' : 'initials',
+      category: PrayerRequest.schema.path('category').enumValues.includes(category) ? category : 'other',
+      quarantine: quarantineFor(req)
+    });
+
+    await newPrayerRequest.save();
+
+    // Send email notification to church staff
+    if (!newPrayerRequest.quarantine.isQuarantined) {
+      await notifyPrayerTeam(newPrayerRequest);
+    }
+
+    res.status(201).json({
+      message: 'Prayer request submitted successfully',
+      id: newPrayerRequest._id
+    });
+
+  } catch (error) {
+    console.error('Prayer request error:', error);
+    res.status(500).json({ error: 'Failed to submit prayer request' });
+  }
+});
+
+const PRAYER_TESTIMONY_PURPOSE = 'prayer-testimony';
+
+// Signed link letting the submitter of an answered prayer share a testimony
+const prayerTestimonyUrl = (prayerRequest) => {
+  const token = signLinkToken(PRAYER_TESTIMONY_PURPOSE, { prayerRequest: String(prayerRequest._id) }, { expiresIn: '90d' });
+  return `${API_URL}/api/prayer-requests/${prayerRequest._id}/testimony?token=${encodeURIComponent(token)}`;
+};
+
+const verifyPrayerTestimonyToken = (token, prayerRequestId) => {
+  const payload = verifyLinkToken(token, PRAYER_TESTIMONY_PURPOSE);
+  return Boolean(payload && payload.prayerRequest === String(prayerRequestId));
+};
+
+// Build the admin listing filter from assignee, status, category and date
+// query parameters. `assignedTo` takes a user id, `me` or `unassigned`.
+const buildPrayerRequestFilter = (query, user) => {
+  const filter = { ...NOT_QUARANTINED };
+
+  if (query.assignedTo === 'me') {
+    filter.assignedTo = user.id;
+  } else if (query.assignedTo === 'unassigned') {
+    filter.assignedTo = null;
+  } else if (query.assignedTo) {
+    if (!mongoose.Types.ObjectId.isValid(query.assignedTo)) return { error: 'Invalid assignedTo' };
+    filter.assignedTo = query.assignedTo;
+  }
+
+  if (query.status) {
+    if (!isEnumValue(prayerRequestSchema, 'status', query.status)) return { error: 'Invalid status' };
+    filter.status = query.status;
+  }
+  if (query.category) {
+    if (!isEnumValue(prayerRequestSchema, 'category', query.category)) return { error: 'Invalid category' };
+    filter.category = query.category;
+  }
+  if (query.isAnswered !== undefined) filter.isAnswered = query.isAnswered === 'true';
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+    if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+      return { error: 'Invalid from or to date' };
+    }
+  }
+
+  return { filter };
+};
+
+// Get Prayer Requests (Admin only)
+// Filters: assignedTo, status, category, isAnswered, from, to
+app.get('/api/prayer-requests', authenticateToken, requirePermission('read-prayers'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { filter, error } = buildPrayerRequestFilter(req.query, req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const prayerRequests = await PrayerRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip)
+      .populate('assignedTo', 'name email');
+
+    const total = await PrayerRequest.countDocuments(filter);
+
+    res.json({
+      prayerRequests,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+
+  } catch (error) {
+    console.error('Get prayer requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch prayer requests' });
+  }
+});
+
+// Get Prayer Request Details (Admin only)
+app.get('/api/prayer-requests/:id', authenticateToken, requirePermission('read-prayers'), async (req, res) => {
+  try {
+    const prayerRequest = await PrayerRequest.findById(req.params.id)
+      .populate('assignedTo', 'name email department')
+      .populate('followUpNotes.author', 'name');
+
+    if (!prayerRequest) {
+      return res.status(404).json({ error: 'Prayer request not found' });
+    }
+
+    res.json(prayerRequest);
+
+  } catch (error) {
+    console.error('Get prayer request error:', error);
+    res.status(500).json({ error: 'Failed to fetch prayer request' });
+  }
+});
+
+// Update Prayer Request (Admin only)
+// Accepts isAnswered, status, category and assignedTo (a user id, or null to
+// unassign). Marking a request answered invites the submitter to share a
+// testimony.
+app.patch('/api/prayer-requests/:id', authenticateToken, requirePermission('manage-prayers'), async (req, res) => {
+  try {
+    const { isAnswered, status, category, assignedTo } = req.body;
+
+    const prayerRequest = await PrayerRequest.findById(req.params.id);
+
+    if (!prayerRequest) {
+      return res.status(404).json({ error: 'Prayer request not found' });
+    }
+
+    const wasAnswered = prayerRequest.isAnswered;
+    let assignee = null;
+
+    if (assignedTo !== undefined) {
+      if (assignedTo) {
+        assignee = mongoose.Types.ObjectId.isValid(assignedTo) &&
+          await User.findOne({ _id: assignedTo, isActive: true });
+        if (!assignee) {
+          return res.status(400).json({ error: 'Assignee must be an active staff member' });
+        }
+        if (!prayerRequest.assignedTo || !prayerRequest.assignedTo.equals(assignee._id)) {
+          prayerRequest.assignedTo = assignee._id;
+          prayerRequest.assignedAt = new Date();
+        } else {
+          assignee = null;
+        }
+      } else {
+        prayerRequest.assignedTo = undefined;
+        prayerRequest.assignedAt = undefined;
+      }
+    }
+
+    if (category !== undefined) prayerRequest.category = category;
+
+    // `status` and `isAnswered` are kept in step with each other
+    if (status !== undefined) {
+      prayerRequest.status = status;
+      prayerRequest.isAnswered = status === 'answered';
+    } else if (isAnswered !== undefined) {
+      prayerRequest.isAnswered = isAnswered === true || isAnswered === 'true';
+      prayerRequest.status = prayerRequest.isAnswered ? 'answered' : 'in-progress';
+    } else if (assignee && prayerRequest.status === 'new') {
+      prayerRequest.status = 'in-progress';
+    }
+
+    if (prayerRequest.isAnswered !== wasAnswered) {
+      prayerRequest.answeredAt = prayerRequest.isAnswered ? new Date() : null;
+    }
+
+    await prayerRequest.save();
+
+    if (assignee) {
+      await sendTemplatedEmail('prayer-assigned', assignee.email, {
+        assigneeName: assignee.name,
+        requesterName: prayerRequest.name,
+        category: prayerRequest.category
+      }).catch(mailError => console.error('Prayer assignment email error:', mailError));
+    }
+
+    if (prayerRequest.isAnswered && !wasAnswered && prayerRequest.email) {
+      await sendTemplatedEmail('prayer-answered', prayerRequest.email, {
+        name: prayerRequest.name,
+        testimonyUrl: prayerTestimonyUrl(prayerRequest)
+      }).catch(mailError => console.error('Prayer answered email error:', mailError));
+    }
+
+    res.json(prayerRequest);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update prayer request error:', error);
+    res.status(500).json({ error: 'Failed to update prayer request' });
+  }
+});
+
+// Add a Follow-Up Note (Admin only)
+// Notes are internal to the pastoral team and never shown to the submitter
+app.post('/api/prayer-requests/:id/notes', authenticateToken, requirePermission('manage-prayers'), async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note || !String(note).trim()) {
+      return res.status(400).json({ error: 'Note is required' });
+    }
+
+    const prayerRequest = await PrayerRequest.findByIdAndUpdate(
+      req.params.id,
+      { $push: { followUpNotes: { note: String(note).trim(), author: req.user.id } } },
+      { new: true, runValidators: true }
+    ).populate('followUpNotes.author', 'name');
+
+    if (!prayerRequest) {
+      return res.status(404).json({ error: 'Prayer request not found' });
+    }
+
+    res.status(201).json(prayerRequest.followUpNotes);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Add prayer note error:', error);
+    res.status(500).json({ error: 'Failed to add note' });
+  }
+});
+
+// Testimony Form (signed link from email)
+app.get('/api/prayer-requests/:id/testimony', (req, res) => {
+  const { token } = req.query;
+
+  if (!verifyPrayerTestimonyToken(token, req.params.id)) {
+    return sendLinkResponse(req, res, 400, 'Invalid Link', 'This link is invalid or has expired.');
+  }
+
+  res.send(renderMessagePage('Share Your Praise Report', `
+    <p>We would love to hear how God answered your prayer.</p>
+    <form method="POST" action="/api/prayer-requests/${escapeHtml(req.params.id)}/testimony">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <p><textarea name="testimony" rows="8" maxlength="2000" style="width: 100%;" required></textarea></p>
+      <button type="submit">Share testimony</button>
+    </form>
+  `));
+});
+
+// Submit a Testimony (signed link from email)
+// Only for answered prayers; a later submission replaces the earlier one
+app.post('/api/prayer-requests/:id/testimony', async (req, res) => {
+  try {
+    const { token, testimony } = req.body;
+
+    if (!verifyPrayerTestimonyToken(token || req.query.token, req.params.id)) {
+      return sendLinkResponse(req, res, 400, 'Invalid Link', 'This link is invalid or has expired.');
+    }
+
+    if (!testimony || !String(testimony).trim()) {
+      return sendLinkResponse(req, res, 400, 'Testimony Required', 'Please write your testimony before submitting.');
+    }
+
+    const prayerRequest = await PrayerRequest.findOneAndUpdate(
+      { _id: req.params.id, isAnswered: true },
+      { testimony: { text: String(testimony).trim(), submittedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+
+    if (!prayerRequest) {
+      return sendLinkResponse(req, res, 404, 'Prayer Request Not Found', 'This prayer request is not marked as answered.');
+    }
+
+    sendLinkResponse(req, res, 200, 'Thank You!', 'Thank you for sharing how God answered your prayer.');
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendLinkResponse(req, res, 400, 'Testimony Too Long', 'Please keep your testimony under 2000 characters.');
+    }
+
+    console.error('Prayer testimony error:', error);
+    res.status(500).json({ error: 'Failed to save testimony' });
+  }
+});
+
+// =============================================================================
+// PRAYER WALL ROUTES
+// =============================================================================
+
+// "Grace Ade Okafor" -> "G. A. O."
+const toInitials = (name) => String(name || '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(part => `${part[0].toUpperCase()}.`)
+  .join(' ');
+
+const toWallEntry = (request) => ({
+  id: request._id,
+  name: request.wallNameFormat === 'full' ? request.name : toInitials(request.name),
+  prayerRequest: request.wallText || request.prayerRequest,
+  prayedCount: request.prayedCount,
+  isAnswered: request.isAnswered,
+  sharedAt: request.wallReviewedAt
+});
+
+// One-way hash of the visitor's IP and browser; raw IPs are never stored
+const visitorFingerprint = (req) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${req.ip}|${req.get('user-agent') || ''}`)
+  .digest('hex');
+
+// Get Prayer Wall (Public)
+app.get('/api/prayer-wall', async (req, res) => {
+  try {
+    const { page, limit, skip } = readPage(req.query, 20);
+
+    const requests = await PrayerRequest.find({ wallStatus: 'approved' })
+      .sort({ wallReviewedAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await PrayerRequest.countDocuments({ wallStatus: 'approved' });
+
+    res.json({
+      prayerRequests: requests.map(toWallEntry),
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+
+  } catch (error) {
+    console.error('Get prayer wall error:', error);
+    res.status(500).json({ error: 'Failed to fetch prayer wall' });
+  }
+});
+
+// "I Prayed for This" (Public)
+// Counts each visitor once per request, on top of a per-IP rate limit
+app.post('/api/prayer-wall/:id/prayed', prayedLimiter, async (req, res) => {
+  try {
+    const fingerprint = visitorFingerprint(req);
+
+    const updated = await PrayerRequest.findOneAndUpdate(
+      { _id: req.params.id, wallStatus: 'approved', prayedBy: { $ne: fingerprint } },
+      { $push: { prayedBy: fingerprint }, $inc: { prayedCount: 1 } },
+      { new: true }
+    );
+
+    if (updated) {
+      return res.json({ prayedCount: updated.prayedCount, alreadyPrayed: false });
+    }
+
+    const existing = await PrayerRequest.findOne({ _id: req.params.id, wallStatus: 'approved' });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Prayer request not found' });
+    }
+
+    res.json({ prayedCount: existing.prayedCount, alreadyPrayed: true });
+
+  } catch (error) {
+    console.error('Prayed for request error:', error);
+    res.status(500).json({ error: 'Failed to record prayer' });
+  }
+});
+
+// Get Prayer Wall Approval Queue (Admin only)
+app.get('/api/prayer-wall/queue', authenticateToken, requirePermission('moderate-prayer-wall'), async (req, res) => {
+  try {
+    const requests = await PrayerRequest.find({ wallStatus: 'pending', ...NOT_QUARANTINED })
+      .sort({ createdAt: 1 });
+
+    res.json(requests.map(request => ({
+      ...request.toObject(),
+      wallPreview: toWallEntry(request)
+    })));
+
+  } catch (error) {
+    console.error('Get prayer wall queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch prayer wall queue' });
+  }
+});
+
+// Approve a Prayer Request for the Wall (Admin only)
+// Optionally adjust how the name is shown or edit the wording shown publicly
+app.post('/api/prayer-wall/:id/approve', authenticateToken, requirePermission('moderate-prayer-wall'), async (req, res) => {
+  try {
+    const { wallNameFormat, wallText } = req.body;
+
+    const prayerRequest = await PrayerRequest.findById(req.params.id);
+
+    if (!prayerRequest) {
+      return res.status(404).json({ error: 'Prayer request not found' });
+    }
+
+    if (prayerRequest.isPrivate) {
+      return res.status(400).json({ error: 'Private prayer requests cannot be shared' });
+    }
+
+    if (prayerRequest.quarantine.isQuarantined) {
+      return res.status(400).json({ error: 'Release this prayer request from quarantine first' });
+    }
+
+    if (wallNameFormat !== undefined) prayerRequest.wallNameFormat = wallNameFormat;
+    if (wallText !== undefined) prayerRequest.wallText = wallText || undefined;
+    prayerRequest.wallStatus = 'approved';
+    prayerRequest.wallReviewedAt = new Date();
+    prayerRequest.wallReviewedBy = req.user.id;
+
+    await prayerRequest.save();
+
+    res.json(toWallEntry(prayerRequest));
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Approve prayer wall request error:', error);
+    res.status(500).json({ error: 'Failed to approve prayer request' });
+  }
+});
+
+// Reject or Remove a Prayer Request from the Wall (Admin only)
+app.post('/api/prayer-wall/:id/reject', authenticateToken, requirePermission('moderate-prayer-wall'), async (req, res) => {
+  try {
+    const prayerRequest = await PrayerRequest.findOneAndUpdate(
+      { _id: req.params.id, wallStatus: { $in: ['pending', 'approved'] } },
+      { wallStatus: 'rejected', wallReviewedAt: new Date(), wallReviewedBy: req.user.id },
+      { new: true }
+    );
+
+    if (!prayerRequest) {
+      return res.status(404).json({ error: 'Prayer request not found on the wall or in the queue' });
+    }
+
+    res.json({ message: 'Prayer request removed from the prayer wall' });
+
+  } catch (error) {
+    console.error('Reject prayer wall request error:', error);
+    res.status(500).json({ error: 'Failed to reject prayer request' });
+  }
+});
+
+// =============================================================================
+// EVENTS ROUTES
+// =============================================================================
+
+// Get Events (Public)
+// With `upcoming`, `from` or `to`, recurring events are expanded into their
+// individual occurrences within the requested range. Without `to`, the
+// default window only limits how far series are expanded; one-off events are
+// returned however far ahead they are.
+app.get('/api/events', async (req, res) => {
+  try {
+    const { upcoming, category, limit, from, to, includeCancelled } = req.query;
+    let query = {};
+
+    if (category) {
+      query.category = category;
+    }
+
+    if (upcoming === 'true' || from || to) {
+      const range = parseOccurrenceRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+
+      const openEnded = upcoming === 'true' && range.openEnded;
+      const events = await Event.find({ ...query, ...occurrenceRangeQuery(range.from, range.to, { openEnded }) })
+        .populate('createdBy', 'name')
+        .lean();
+
+      const occurrences = expandOccurrences(events, range.from, range.to, {
+        includeCancelled: includeCancelled === 'true',
+        openEnded
+      });
+
+      return res.json(occurrences.slice(0, parseInt(limit) || 50));
+    }
+
+    const events = await Event.find(query)
+      .sort({ date: 1 })
+      .limit(parseInt(limit) || 50)
+      .populate('createdBy', 'name');
+
+    res.json(events.map(toPublicEvent));
+
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({ error: 'Failed to fetch events' });
+  }
+});
+
+// Create Event (Admin only)
+app.post('/api/events', authenticateToken, requirePermission('manage-events'), upload.single('image'), async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      date,
+      time,
+      location,
+      category,
+      isRecurring,
+      recurringType,
+      recurrenceEnd,
+      maxAttendees,
+      waitlistEnabled
+    } = req.body;
+
+    if (!title || !description || !date || !time) {
+      return res.status(400).json({ error: 'Title, description, date, and time are required' });
+    }
+
+    if (isRecurring === 'true' && !RECURRENCE_UNITS[recurringType]) {
+      return res.status(400).json({ error: 'Recurring events need a recurringType of weekly, monthly or yearly' });
+    }
+
+    const newEvent = new Event({
+      title,
+      description,
+      date: new Date(date),
+      time,
+      location,
+      category,
+      isRecurring: isRecurring === 'true',
+      recurringType,
+      recurrenceEnd: recurrenceEnd ? new Date(recurrenceEnd) : null,
+      maxAttendees: maxAttendees ? parseInt(maxAttendees) : null,
+      waitlistEnabled: waitlistEnabled !== 'false',
+      image: req.file ? `/uploads/${req.file.filename}` : null,
+      createdBy: req.user.id
+    });
+
+    await newEvent.save();
+
+    res.status(201).json(newEvent);
+
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(500).json({ error: 'Failed to create event' });
+  }
+});
+
+// iCalendar Feed of All Events (Public)
+app.get('/api/events/calendar.ics', async (req, res) => {
+  try {
+    const events = await Event.find(calendarFeedQuery()).sort({ date: 1 }).lean();
+    const churchName = process.env.CHURCH_NAME || 'New Revival Baptist Church';
+
+    sendICalendar(res, buildICalendar(events, churchName), 'nrbc-events.ics');
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// iCalendar Feed per Category (Public)
+app.get('/api/events/calendar/:category.ics', async (req, res) => {
+  try {
+    const { category } = req.params;
+
+    if (!Event.schema.path('category').enumValues.includes(category)) {
+      return res.status(404).json({ error: 'Unknown event category' });
+    }
+
+    const events = await Event.find({ ...calendarFeedQuery(), category }).sort({ date: 1 }).lean();
+    const churchName = process.env.CHURCH_NAME || 'New Revival Baptist Church';
+
+    sendICalendar(res, buildICalendar(events, `${churchName} - ${category}`), `nrbc-${category}.ics`);
+
+  } catch (error) {
+    console.error('Category calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Download a Single Event as .ics (Public)
+app.get('/api/events/:id.ics', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).lean();
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    sendICalendar(res, buildICalendar([event], event.title), `event-${event._id}.ics`, true);
+
+  } catch (error) {
+    console.error('Event calendar download error:', error);
+    res.status(500).json({ error: 'Failed to build event calendar' });
+  }
+});
+
+// Get Occurrences of an Event (Public)
+app.get('/api/events/:id/occurrences', async (req, res) => {
+  try {
+    const range = parseOccurrenceRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const event = await Event.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .lean();
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json(expandOccurrences([event], range.from, range.to, {
+      includeCancelled: req.query.includeCancelled === 'true'
+    }));
+
+  } catch (error) {
+    console.error('Get event occurrences error:', error);
+    res.status(500).json({ error: 'Failed to fetch event occurrences' });
+  }
+});
+
+// Get a Single Occurrence (Public)
+app.get('/api/events/:id/occurrences/:occurrenceDate', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .lean();
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const seriesDate = findSeriesDate(event, req.params.occurrenceDate);
+    if (!seriesDate) {
+      return res.status(404).json({ error: 'Occurrence not found' });
+    }
+
+    res.json(buildOccurrence(event, seriesDate));
+
+  } catch (error) {
+    console.error('Get event occurrence error:', error);
+    res.status(500).json({ error: 'Failed to fetch event occurrence' });
+  }
+});
+
+// Override or Cancel a Single Occurrence (Admin only)
+app.patch('/api/events/:id/occurrences/:occurrenceDate', authenticateToken, requirePermission('manage-events'), async (req, res) => {
+  try {
+    const { occurrenceDate } = req.params;
+    const { date, time, location, description, note, isCancelled } = req.body;
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (!event.isRecurring) {
+      return res.status(400).json({ error: 'Only recurring events have individual occurrences' });
+    }
+
+    if (!findSeriesDate(event, occurrenceDate)) {
+      return res.status(404).json({ error: 'Occurrence not found' });
+    }
+
+    if (date && isNaN(new Date(date))) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    let override = event.occurrenceOverrides.find(o => o.occurrenceDate === occurrenceDate);
+    if (!override) {
+      event.occurrenceOverrides.push({ occurrenceDate });
+      override = event.occurrenceOverrides[event.occurrenceOverrides.length - 1];
+    }
+
+    if (date !== undefined) override.date = date ? new Date(date) : undefined;
+    if (time !== undefined) override.time = time;
+    if (location !== undefined) override.location = location;
+    if (description !== undefined) override.description = description;
+    if (note !== undefined) override.note = note;
+    if (isCancelled !== undefined) override.isCancelled = isCancelled === true || isCancelled === 'true';
+    override.updatedAt = new Date();
+
+    await event.save();
+
+    res.json(buildOccurrence(event, findSeriesDate(event, occurrenceDate)));
+
+  } catch (error) {
+    console.error('Update event occurrence error:', error);
+    res.status(500).json({ error: 'Failed to update event occurrence' });
+  }
+});
+
+// Cancel a Single Occurrence (Admin only)
+app.delete('/api/events/:id/occurrences/:occurrenceDate', authenticateToken, requirePermission('manage-events'), async (req, res) => {
+  try {
+    const { occurrenceDate } = req.params;
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const seriesDate = event.isRecurring && findSeriesDate(event, occurrenceDate);
+    if (!seriesDate) {
+      return res.status(404).json({ error: 'Occurrence not found' });
+    }
+
+    const override = event.occurrenceOverrides.find(o => o.occurrenceDate === occurrenceDate);
+    if (override) {
+      override.isCancelled = true;
+      override.updatedAt = new Date();
+    } else {
+      event.occurrenceOverrides.push({ occurrenceDate, isCancelled: true });
+    }
+
+    await event.save();
+
+    res.json(buildOccurrence(event, seriesDate));
+
+  } catch (error) {
+    console.error('Cancel event occurrence error:', error);
+    res.status(500).json({ error: 'Failed to cancel event occurrence' });
+  }
+});
+
+// Restore a Single Occurrence to the Series Defaults (Admin only)
+app.delete('/api/events/:id/occurrences/:occurrenceDate/override', authenticateToken, requirePermission('manage-events'), async (req, res) => {
+  try {
+    const { occurrenceDate } = req.params;
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const seriesDate = event.isRecurring && findSeriesDate(event, occurrenceDate);
+    if (!seriesDate) {
+      return res.status(404).json({ error: 'Occurrence not found' });
+    }
+
+    event.occurrenceOverrides = event.occurrenceOverrides.filter(o => o.occurrenceDate !== occurrenceDate);
+    await event.save();
+
+    res.json(buildOccurrence(event, seriesDate));
+
+  } catch (error) {
+    console.error('Restore event occurrence error:', error);
+    res.status(500).json({ error: 'Failed to restore event occurrence' });
+  }
+});
+
+// Get Event Details (Public)
+app.get('/api/events/:id', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).populate('createdBy', 'name');
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json(toPublicEvent(event));
+
+  } catch (error) {
+    console.error('Get event error:', error);
+    res.status(500).json({ error: 'Failed to fetch event' });
+  }
+});
+
+// Update Event (Admin only)
+// PUT replaces the editable fields and requires the same fields as creation;
+// PATCH changes only the fields sent. Either accepts a new `image` upload,
+// or `removeImage=true` to drop the current one.
+const updateEvent = (replace) => async (req, res) => {
+  const uploadedImage = req.file ? `/uploads/${req.file.filename}` : null;
+
+  try {
+    const fields = readEventFields(req.body);
+
+    if (replace && (!fields.title || !fields.description || !req.body.date || !fields.time)) {
+      await removeUploadedFile(uploadedImage);
+      return res.status(400).json({ error: 'Title, description, date, and time are required' });
+    }
+
+    // PUT replaces the event, so editable fields left out go back to their
+    // defaults (the image is kept unless removeImage is sent)
+    if (replace) {
+      const defaults = new Event().toObject();
+      EVENT_EDITABLE_FIELDS
+        .filter(field => !(field in fields))
+        .forEach(field => { fields[field] = defaults[field]; });
+    }
+
+    if ((fields.date && isNaN(fields.date)) || (fields.recurrenceEnd && isNaN(fields.recurrenceEnd))) {
+      await removeUploadedFile(uploadedImage);
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      await removeUploadedFile(uploadedImage);
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const before = { status: event.status, date: event.date, time: event.time, location: event.location };
+    const previousImage = event.image;
+
+    event.set(fields);
+
+    if (event.isRecurring && !RECURRENCE_UNITS[event.recurringType]) {
+      await removeUploadedFile(uploadedImage);
+      return res.status(400).json({ error: 'Recurring events need a recurringType of weekly, monthly or yearly' });
+    }
+
+    if (uploadedImage) {
+      event.image = uploadedImage;
+    } else if (req.body.removeImage === 'true' || req.body.removeImage === true) {
+      event.image = null;
+    }
+    event.updatedAt = new Date();
+
+    await event.save();
+
+    if (previousImage && previousImage !== event.image) {
+      await removeUploadedFile(previousImage);
+    }
+
+    // A higher capacity may have freed seats for the waitlist
+    const waitlist = await promoteFromWaitlist(event._id);
+    await notifyPromotedAttendees(waitlist.event || event, waitlist.promoted);
+
+    const change = getEventChange(before, event);
+    if (change) {
+      await notifyEventAttendees(event, change);
+    }
+
+    res.json(event);
+
+  } catch (error) {
+    await removeUploadedFile(uploadedImage);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update event error:', error);
+    res.status(500).json({ error: 'Failed to update event' });
+  }
+};
+
+app.put('/api/events/:id', authenticateToken, requirePermission('manage-events'), upload.single('image'), updateEvent(true));
+app.patch('/api/events/:id', authenticateToken, requirePermission('manage-events'), upload.single('image'), updateEvent(false));
+
+// Delete Event (Admin only)
+// Attendees of an upcoming event that wasn't already cancelled are told it's off
+app.delete('/api/events/:id', authenticateToken, requirePermission('manage-events'), async (req, res) => {
+  try {
+    const event = await Event.findByIdAndDelete(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    await removeUploadedFile(event.image);
+
+    const isUpcoming = event.isRecurring || event.date >= new Date();
+    if (isUpcoming && event.status !== 'cancelled') {
+      await notifyEventAttendees(event, 'cancelled');
+    }
+
+    res.json({ message: 'Event deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete event error:', error);
+    res.status(500).json({ error: 'Failed to delete event' });
+  }
+});
+
+// Register for Event
+// Once the event is full, registrants join the waitlist instead (unless the
+// event has its waitlist turned off)
+app.post('/api/events/:id/register', registrationLimiter, spamGuard(['name', 'email', 'phone']), async (req, res) => {
+  try {
+    const { name, phone } = req.body;
+    const email = req.body.email && String(req.body.email).trim().toLowerCase();
+
+    if (!name || !email) {
+      return res.status(400).json({ error: 'Name and email are required' });
+    }
+
+    // A seat can't be held in quarantine, so suspect registrations are refused
+    if (req.spamReasons.length) {
+      return res.status(400).json({ error: 'Registration could not be completed. Please contact the church office.' });
+    }
+
+    const result = await registerAttendee(req.params.id, { name, email, phone });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    let { event } = result;
+
+    if (result.waitlisted) {
+      // A seat may be waiting for promotion; the queue (possibly including
+      // this registrant) gets it in order
+      const promotion = await promoteFromWaitlist(event._id);
+      await notifyPromotedAttendees(promotion.event, promotion.promoted);
+      event = promotion.event || event;
+
+      if (promotion.promoted.some(attendee => attendee.email === email)) {
+        return res.json({ message: 'Successfully registered for event' });
+      }
+
+      const position = event.waitlist.findIndex(entry => entry.email === email) + 1;
+      try {
+        await sendWaitlistConfirmation(event, { name, email }, position);
+      } catch (error) {
+        console.error('Waitlist confirmation email error:', error);
+      }
+
+      return res.status(202).json({
+        message: 'Event is at full capacity; you have been added to the waitlist',
+        waitlisted: true,
+        waitlistPosition: position
+      });
+    }
+
+    // Send confirmation email with the ticket. The seat is already saved, so
+    // a failure is logged rather than reported as a failed registration.
+    const registration = event.registeredAttendees.find(attendee => attendee.email === email);
+    try {
+      await sendRegistrationConfirmation(event, registration);
+    } catch (error) {
+      console.error('Registration confirmation email error:', error);
+    }
+
+    res.json({ message: 'Successfully registered for event' });
+
+  } catch (error) {
+    console.error('Event registration error:', error);
+    res.status(500).json({ error: 'Failed to register for event' });
+  }
+});
+
+// Export Attendee List as CSV (Admin only)
+// Registered attendees followed by the waitlist in order
+app.get('/api/events/:id/attendees.csv', authenticateToken, requirePermission('manage-events'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('title registeredAttendees waitlist');
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const attendees = [
+      ...event.registeredAttendees.map(attendee => ({ ...attendee.toObject(), status: 'registered' })),
+      ...event.waitlist.map((entry, index) => ({
+        ...entry.toObject(),
+        status: 'waitlisted',
+        waitlistPosition: index + 1,
+        registeredAt: entry.joinedAt
+      }))
+    ];
+
+    sendCsv(res, `${slugify(event.title) || 'event'}-attendees.csv`, [
+      ['Status', attendee => attendee.status],
+      ['Name', attendee => attendee.name],
+      ['Email', attendee => attendee.email],
+      ['Phone', attendee => attendee.phone],
+      ['Registered', attendee => attendee.registeredAt],
+      ['Waitlist Position', attendee => attendee.waitlistPosition],
+      ['Checked In', attendee => attendee.checkedInAt],
+      ['Occurrences Attended', attendee => (attendee.checkIns || []).map(c => c.occurrenceDate).join(' ')]
+    ], attendees);
+
+  } catch (error) {
+    console.error('Export attendees error:', error);
+    res.status(500).json({ error: 'Failed to export attendees' });
+  }
+});
+
+// Confirm Cancelling a Registration (signed link from email)
+// Shows a confirmation button rather than cancelling straight away, so mail
+// scanners that prefetch links can't cancel anyone's seat
+app.get('/api/events/:id/registration/cancel', (req, res) => {
+  const { token } = req.query;
+
+  if (!verifyRegistrationToken(token, req.params.id)) {
+    return sendLinkResponse(req, res, 400, 'Invalid Link', 'This cancellation link is invalid.');
+  }
+
+  res.send(renderMessagePage('Cancel Registration', `
+    <p>Are you sure you want to cancel your registration? If there is a waitlist, your seat will be given to the next person.</p>
+    <form method="POST" action="/api/events/${escapeHtml(req.params.id)}/registration/cancel">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <button type="submit">Cancel my registration</button>
+    </form>
+  `));
+});
+
+// Cancel a Registration or Waitlist Place (signed link from email)
+app.post('/api/events/:id/registration/cancel', async (req, res) => {
+  try {
+    const email = verifyRegistrationToken(req.body.token || req.query.token, req.params.id);
+
+    if (!email) {
+      return sendLinkResponse(req, res, 400, 'Invalid Link', 'This cancellation link is invalid.');
+    }
+
+    const eventExists = await Event.exists({ _id: req.params.id });
+
+    if (!eventExists) {
+      return sendLinkResponse(req, res, 404, 'Event Not Found', 'This event no longer exists.');
+    }
+
+    const cancelled = await Event.findOneAndUpdate(
+      { _id: req.params.id, 'registeredAttendees.email': email },
+      { $pull: { registeredAttendees: { email } } },
+      { new: true }
+    );
+
+    if (cancelled) {
+      const { event, promoted } = await promoteFromWaitlist(cancelled._id);
+      await notifyPromotedAttendees(event || cancelled, promoted);
+
+      return sendLinkResponse(req, res, 200, 'Registration Cancelled',
+        `Your registration for ${cancelled.title} has been cancelled.`);
+    }
+
+    const leftWaitlist = await Event.findOneAndUpdate(
+      { _id: req.params.id, 'waitlist.email': email },
+      { $pull: { waitlist: { email } } },
+      { new: true }
+    );
+
+    if (!leftWaitlist) {
+      return sendLinkResponse(req, res, 404, 'Registration Not Found', 'There is no registration to cancel for this email address.');
+    }
+
+    sendLinkResponse(req, res, 200, 'Registration Cancelled',
+      `Your waitlist place for ${leftWaitlist.title} has been cancelled.`);
+
+  } catch (error) {
+    console.error('Cancel registration error:', error);
+    res.status(500).json({ error: 'Failed to cancel registration' });
+  }
+});
+
+// Check In an Attendee at the Door (Authenticated)
+// Accepts the scanned ticket code. A ticket admits its holder once per
+// occurrence: recurring events take the occurrence's YYYY-MM-DD key
+// (today's by default).
+app.post('/api/events/:id/check-in', authenticateToken, requirePermission('check-in-attendees'), async (req, res) => {
+  try {
+    const ticket = verifyTicket(req.body.ticket);
+
+    if (!ticket || ticket.eventId !== req.params.id) {
+      return res.status(400).json({ error: 'Invalid ticket' });
+    }
+
+    const series = await Event.findById(req.params.id).select('date isRecurring recurringType recurrenceEnd');
+
+    if (!series) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const occurrenceDate = series.isRecurring
+      ? String(req.body.occurrenceDate || toOccurrenceKey(new Date()))
+      : toOccurrenceKey(series.date);
+
+    if (series.isRecurring && !findSeriesDate(series, occurrenceDate)) {
+      return res.status(400).json({ error: 'The event has no occurrence on this date' });
+    }
+
+    // Attendees checked in before check-ins were tracked per occurrence only
+    // have checkedInAt, which still counts for one-off events
+    const notCheckedIn = series.isRecurring
+      ? { 'checkIns.occurrenceDate': { $ne: occurrenceDate } }
+      : { 'checkIns.occurrenceDate': { $ne: occurrenceDate }, checkedInAt: null };
+    const checkedInAt = new Date();
+    const event = await Event.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        registeredAttendees: { $elemMatch: { ticketCode: ticket.ticketCode, ...notCheckedIn } }
+      },
+      {
+        $set: {
+          'registeredAttendees.$.checkedInAt': checkedInAt,
+          'registeredAttendees.$.checkedInBy': req.user.id
+        },
+        $push: {
+          'registeredAttendees.$.checkIns': { occurrenceDate, checkedInAt, checkedInBy: req.user.id }
+        }
+      },
+      { new: true }
+    );
+
+    if (!event) {
+      const existing = await Event.findOne(
+        { _id: req.params.id, 'registeredAttendees.ticketCode': ticket.ticketCode },
+        { 'registeredAttendees.$': 1 }
+      );
+
+      if (existing) {
+        const attendee = existing.registeredAttendees[0];
+        const previous = attendee.checkIns.find(c => c.occurrenceDate === occurrenceDate);
+        return res.status(409).json({
+          error: 'Ticket has already been used',
+          occurrenceDate,
+          checkedInAt: previous ? previous.checkedInAt : attendee.checkedInAt
+        });
+      }
+
+      return res.status(404).json({ error: 'No registration found for this ticket' });
+    }
+
+    const hasCheckedIn = (attendee) => attendee.checkIns.some(c => c.occurrenceDate === occurrenceDate) ||
+      (!series.isRecurring && Boolean(attendee.checkedInAt));
+    const attendee = event.registeredAttendees.find(a => a.ticketCode === ticket.ticketCode);
+    const checkedIn = event.registeredAttendees.filter(hasCheckedIn).length;
+
+    res.json({
+      message: 'Checked in successfully',
+      occurrenceDate,
+      attendee: { name: attendee.name, email: attendee.email, checkedInAt },
+      attendance: { registered: event.registeredAttendees.length, checkedIn }
+    });
+
+  } catch (error) {
+    console.error('Event check-in error:', error);
+    res.status(500).json({ error: 'Failed to check in attendee' });
+  }
+});
+
+// =============================================================================
+// CONTACT MESSAGES ROUTES
+// =============================================================================
+
+// Email church staff about a new contact message
+const notifyContactMessage = (message) => sendTemplatedEmail('contact-message-staff', process.env.CONTACT_EMAIL, {
+  name: message.name,
+  email: message.email,
+  phone: message.phone || 'Not provided',
+  subject: message.subject,
+  message: message.message,
+  submittedAt: message.createdAt.toLocaleString()
+});
+
+// Submit Contact Message
+// Suspected spam is saved but quarantined instead of being emailed to staff
+app.post('/api/contact', contactLimiter, spamGuard(['name', 'email', 'subject', 'message']), async (req, res) => {
+  try {
+    const { name, email, phone, subject, message } = req.body;
+
+    if (!name || !email || !subject || !message) {
+      return res.status(400).json({ error: 'All fields except phone are required' });
+    }
+
+    const newMessage = new ContactMessage({
+      name,
+      email,
+      phone,
+      subject,
+      message,
+      quarantine: quarantineFor(req)
+    });
+
+    await newMessage.save();
+
+    // Send notification email
+    if (!newMessage.quarantine.isQuarantined) {
+      await notifyContactMessage(newMessage);
+    }
+
+    res.status(201).json({ message: 'Message sent successfully' });
+
+  } catch (error) {
+    console.error('Contact message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// Build the inbox filter. `status` is unread, read, responded or unresponded;
+// archived messages are hidden unless `archived` is true or all.
+const buildContactMessageFilter = (query) => {
+  const filter = { ...NOT_QUARANTINED };
+
+  if (query.status === 'unread') filter.isRead = false;
+  else if (query.status === 'read') filter.isRead = true;
+  else if (query.status === 'responded') filter.respondedAt = { $ne: null };
+  else if (query.status === 'unresponded') filter.respondedAt = null;
+  else if (query.status) return { error: 'Invalid status' };
+
+  if (query.archived === 'true') filter.isArchived = true;
+  else if (query.archived !== 'all') filter.isArchived = { $ne: true };
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+    if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+      return { error: 'Invalid from or to date' };
+    }
+  }
+
+  return { filter };
+};
+
+// Get Contact Messages (Admin only)
+// Filters: status, archived, from, to
+app.get('/api/contact', authenticateToken, requirePermission('read-contact'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { filter, error } = buildContactMessageFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [messages, total, unread] = await Promise.all([
+      ContactMessage.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip)
+        .select('-replies'),
+      ContactMessage.countDocuments(filter),
+      ContactMessage.countDocuments({ isRead: false, isArchived: { $ne: true }, ...NOT_QUARANTINED })
+    ]);
+
+    res.json({
+      messages,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      unread
+    });
+
+  } catch (error) {
+    console.error('Get contact messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// Export Contact Messages as CSV (Admin only)
+// Takes the same filters as the inbox listing
+app.get('/api/contact/export.csv', authenticateToken, requirePermission('read-contact'), async (req, res) => {
+  try {
+    const { filter, error } = buildContactMessageFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const messages = await ContactMessage.find(filter).sort({ createdAt: -1 });
+
+    sendCsv(res, 'contact-messages.csv', [
+      ['Received', message => message.createdAt],
+      ['Name', message => message.name],
+      ['Email', message => message.email],
+      ['Phone', message => message.phone],
+      ['Subject', message => message.subject],
+      ['Message', message => message.message],
+      ['Read', message => (message.isRead ? 'yes' : 'no')],
+      ['Responded', message => message.respondedAt],
+      ['Archived', message => (message.isArchived ? 'yes' : 'no')]
+    ], messages);
+
+  } catch (error) {
+    console.error('Export contact messages error:', error);
+    res.status(500).json({ error: 'Failed to export messages' });
+  }
+});
+
+// Get Contact Message Details with its reply thread (Admin only)
+app.get('/api/contact/:id', authenticateToken, requirePermission('read-contact'), async (req, res) => {
+  try {
+    const message = await ContactMessage.findById(req.params.id)
+      .populate('replies.sentBy', 'name');
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json(message);
+
+  } catch (error) {
+    console.error('Get contact message error:', error);
+    res.status(500).json({ error: 'Failed to fetch message' });
+  }
+});
+
+// Update Contact Message (Admin only)
+// Accepts isRead and isArchived
+app.patch('/api/contact/:id', authenticateToken, requirePermission('reply-contact'), async (req, res) => {
+  try {
+    const { isRead, isArchived } = req.body;
+
+    const message = await ContactMessage.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (isRead !== undefined) {
+      message.isRead = isRead === true || isRead === 'true';
+    }
+
+    if (isArchived !== undefined) {
+      const archive = isArchived === true || isArchived === 'true';
+      if (archive !== message.isArchived) {
+        message.isArchived = archive;
+        message.archivedAt = archive ? new Date() : undefined;
+      }
+    }
+
+    await message.save();
+
+    res.json(message);
+
+  } catch (error) {
+    console.error('Update contact message error:', error);
+    res.status(500).json({ error: 'Failed to update message' });
+  }
+});
+
+// Reply to a Contact Message (Admin only)
+// Queues the reply email to the sender and records it on the message thread
+app.post('/api/contact/:id/reply', authenticateToken, requirePermission('reply-contact'), async (req, res) => {
+  try {
+    const text = String(req.body.message || '').trim();
+
+    if (!text) {
+      return res.status(400).json({ error: 'Reply message is required' });
+    }
+
+    const message = await ContactMessage.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const reply = {
+      subject: String(req.body.subject || '').trim() || `Re: ${message.subject}`,
+      message: text,
+      sentBy: req.user.id,
+      sentAt: new Date()
+    };
+
+    if (reply.subject.length > 200 || text.length > 5000) {
+      return res.status(400).json({ error: 'Reply subject or message is too long' });
+    }
+
+    await sendTemplatedEmail('contact-reply', message.email, {
+      subject: reply.subject,
+      name: message.name,
+      reply: text,
+      receivedAt: message.createdAt.toLocaleString(),
+      originalMessage: message.message
+    }, {
+      replyTo: process.env.CONTACT_EMAIL
+    });
+
+    message.replies.push(reply);
+    message.respondedAt = reply.sentAt;
+    message.isRead = true;
+    await message.save();
+    await message.populate('replies.sentBy', 'name');
+
+    res.status(201).json(message);
+
+  } catch (error) {
+    console.error('Contact reply error:', error);
+    res.status(500).json({ error: 'Failed to send reply' });
+  }
+});
+
+// =============================================================================
+// NEWSLETTER ROUTES
+// =============================================================================
+
+const NEWSLETTER_CONFIRM_PURPOSE = 'newsletter-confirm';
+const NEWSLETTER_MANAGE_PURPOSE = 'newsletter-manage';
+const CONFIRMATION_RESEND_MS = 5 * 60 * 1000; // 5 minutes
+const CONFIRM_SUBSCRIPTION_MESSAGE = 'Please check your email and click the link to confirm your subscription';
+
+// Signed link that activates a pending subscription
+const newsletterConfirmUrl = (subscription) => {
+  const token = signLinkToken(NEWSLETTER_CONFIRM_PURPOSE, { subscriber: String(subscription._id) }, { expiresIn: '7d' });
+  return `${API_URL}/api/newsletter/confirm?token=${encodeURIComponent(token)}`;
+};
+
+// Unsubscribe and preference links plus List-Unsubscribe headers (RFC 2369
+// and RFC 8058 one-click) for every email sent to a subscriber. The token
+// doesn't expire so links in old newsletters keep working.
+const newsletterEmailOptions = (subscription) => {
+  const token = encodeURIComponent(signLinkToken(NEWSLETTER_MANAGE_PURPOSE, { subscriber: String(subscription._id) }));
+  const unsubscribeUrl = `${API_URL}/api/newsletter/unsubscribe?token=${token}`;
+
+  return {
+    unsubscribeUrl,
+    preferencesUrl: `${API_URL}/api/newsletter/preferences?token=${token}`,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+};
+
+// Look up the subscription a signed newsletter link was issued for
+const findSubscriptionByToken = async (token, purpose) => {
+  const claims = verifyLinkToken(token, purpose);
+  if (!claims || !mongoose.Types.ObjectId.isValid(claims.subscriber)) return null;
+
+  const subscription = await Newsletter.findById(claims.subscriber);
+  return subscription && !subscription.quarantine.isQuarantined ? { subscription, claims } : null;
+};
+
+// Topics from a form or JSON body; defaults to all of them when none are given
+const parseNewsletterTopics = (value, fallback = NEWSLETTER_TOPICS) => {
+  if (value === undefined) return [...fallback];
+  return [].concat(value).filter(topic => NEWSLETTER_TOPICS.includes(topic));
+};
+
+const sendNewsletterConfirmation = (subscription) => sendTemplatedEmail('newsletter-confirm', subscription.email, {
+  name: subscription.name || 'Friend',
+  confirmUrl: newsletterConfirmUrl(subscription)
+});
+
+const sendNewsletterWelcome = (subscription) => sendTemplatedEmail('newsletter-welcome', subscription.email, {
+  name: subscription.name || 'Friend'
+}, newsletterEmailOptions(subscription));
+
+// Subscribe to Newsletter
+// The subscription stays pending until the emailed confirmation link is
+// clicked. Suspected spam signups are quarantined and get no email.
+app.post('/api/newsletter/subscribe', newsletterLimiter, spamGuard(['name', 'email']), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const email = req.body.email && String(req.body.email).trim().toLowerCase();
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    if (!validator.isEmail(email)) {
+      return res.status(400).json({ error: 'Please provide a valid email address' });
+    }
+
+    const topics = parseNewsletterTopics(req.body.topics);
+    if (!topics.length) {
+      return res.status(400).json({ error: `Choose at least one topic: ${NEWSLETTER_TOPICS.join(', ')}` });
+    }
+
+    const quarantine = quarantineFor(req);
+    let subscription = await Newsletter.findOne({ email });
+
+    if (subscription) {
+      if (subscription.isActive) {
+        return res.status(400).json({ error: 'Already subscribed to newsletter' });
+      }
+
+      // Leave existing records alone for suspected spam, and don't let
+      // repeated signups flood someone's inbox with confirmation emails
+      const recentlySent = subscription.confirmationSentAt &&
+        Date.now() - subscription.confirmationSentAt.getTime() < CONFIRMATION_RESEND_MS;
+      if (quarantine || recentlySent) {
+        return res.status(202).json({ message: CONFIRM_SUBSCRIPTION_MESSAGE });
+      }
+
+      subscription.quarantine.isQuarantined = false;
+    } else {
+      subscription = new Newsletter({ email, quarantine });
+    }
+
+    if (name) subscription.name = name;
+    subscription.topics = topics;
+    subscription.confirmationSentAt = quarantine ? undefined : new Date();
+    await subscription.save();
+
+    if (!quarantine) {
+      await sendNewsletterConfirmation(subscription);
+    }
+
+    res.status(202).json({ message: CONFIRM_SUBSCRIPTION_MESSAGE });
+
+  } catch (error) {
+    console.error('Newsletter subscription error:', error);
+    res.status(500).json({ error: 'Failed to subscribe to newsletter' });
+  }
+});
+
+// Confirm Subscription Page (signed link from email)
+// Shows a button rather than confirming straight away, so mail scanners that
+// prefetch links can't confirm on the subscriber's behalf
+app.get('/api/newsletter/confirm', (req, res) => {
+  const { token } = req.query;
+
+  if (!verifyLinkToken(token, NEWSLETTER_CONFIRM_PURPOSE)) {
+    return sendLinkResponse(req, res, 400, 'Invalid Link', 'This confirmation link is invalid or has expired.');
+  }
+
+  res.send(renderMessagePage('Confirm Your Subscription', `
+    <p>Please confirm that you would like to receive the New Revival Baptist Church newsletter.</p>
+    <form method="POST" action="/api/newsletter/confirm">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <button type="submit">Confirm my subscription</button>
+    </form>
+  `));
+});
+
+// Confirm Subscription (signed link from email)
+app.post('/api/newsletter/confirm', async (req, res) => {
+  try {
+    const found = await findSubscriptionByToken(req.body.token || req.query.token, NEWSLETTER_CONFIRM_PURPOSE);
+
+    // A confirmation link from before the subscriber last unsubscribed is stale
+    if (!found || (found.subscription.unsubscribedAt && found.subscription.unsubscribedAt.getTime() > found.claims.iat * 1000)) {
+      return sendLinkResponse(req, res, 400, 'Invalid Link', 'This confirmation link is invalid or has expired.');
+    }
+
+    const { subscription } = found;
+
+    if (subscription.isActive) {
+      return sendLinkResponse(req, res, 200, 'Already Subscribed', 'Your subscription is already confirmed.');
+    }
+
+    subscription.isActive = true;
+    subscription.confirmedAt = new Date();
+    subscription.subscribedAt = new Date();
+    subscription.unsubscribedAt = undefined;
+    await subscription.save();
+
+    await sendNewsletterWelcome(subscription);
+
+    sendLinkResponse(req, res, 200, 'Subscription Confirmed', 'Thank you! You are now subscribed to our newsletter.');
+
+  } catch (error) {
+    console.error('Newsletter confirmation error:', error);
+    res.status(500).json({ error: 'Failed to confirm subscription' });
+  }
+});
+
+// Unsubscribe Page (signed link from email)
+app.get('/api/newsletter/unsubscribe', (req, res) => {
+  const { token } = req.query;
+
+  if (!verifyLinkToken(token, NEWSLETTER_MANAGE_PURPOSE)) {
+    return sendLinkResponse(req, res, 400, 'Invalid Link', 'This unsubscribe link is invalid.');
+  }
+
+  res.send(renderMessagePage('Unsubscribe', `
+    <p>Are you sure you want to stop receiving our newsletter?</p>
+    <form method="POST" action="/api/newsletter/unsubscribe">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <button type="submit">Unsubscribe</button>
+    </form>
+    <p>Or <a href="/api/newsletter/preferences?token=${encodeURIComponent(token)}">choose which topics you hear about</a> instead.</p>
+  `));
+});
+
+// Unsubscribe (signed link from email)
+// Also the List-Unsubscribe target, so mail apps can POST here directly
+// ("List-Unsubscribe=One-Click" in the body, token in the query string)
+app.post('/api/newsletter/unsubscribe', async (req, res) => {
+  try {
+    const found = await findSubscriptionByToken(req.body.token || req.query.token, NEWSLETTER_MANAGE_PURPOSE);
+
+    if (!found) {
+      return sendLinkResponse(req, res, 400, 'Invalid Link', 'This unsubscribe link is invalid.');
+    }
+
+    const { subscription } = found;
+
+    if (subscription.isActive) {
+      subscription.isActive = false;
+      subscription.unsubscribedAt = new Date();
+      await subscription.save();
+    }
+
+    sendLinkResponse(req, res, 200, 'Unsubscribed', 'You have been unsubscribed and will no longer receive our newsletter.');
+
+  } catch (error) {
+    console.error('Newsletter unsubscribe error:', error);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+const TOPIC_LABELS = {
+  events: 'Upcoming events and services',
+  sermons: 'New sermons and Bible teaching',
+  outreach: 'Community outreach programs'
+};
+
+// Newsletter Preferences (signed link from email)
+// A page with topic checkboxes for browsers, or the subscription as JSON
+app.get('/api/newsletter/preferences', async (req, res) => {
+  try {
+    const { token } = req.query;
+    const found = await findSubscriptionByToken(token, NEWSLETTER_MANAGE_PURPOSE);
+
+    if (!found) {
+      return sendLinkResponse(req, res, 400, 'Invalid Link', 'This preferences link is invalid.');
+    }
+
+    const { subscription } = found;
+
+    if (req.accepts(['json', 'html']) !== 'html') {
+      return res.json({
+        email: subscription.email,
+        name: subscription.name,
+        isActive: subscription.isActive,
+        topics: subscription.topics,
+        availableTopics: NEWSLETTER_TOPICS
+      });
+    }
+
+    res.send(renderMessagePage('Newsletter Preferences', `
+      <p>Choose what you would like to hear about at <strong>${escapeHtml(subscription.email)}</strong>. Untick everything to unsubscribe.</p>
+      <form method="POST" action="/api/newsletter/preferences">
+        <input type="hidden" name="token" value="${escapeHtml(token)}">
+        ${NEWSLETTER_TOPICS.map(topic => `
+        <p><label><input type="checkbox" name="topics" value="${topic}"${subscription.isActive && subscription.topics.includes(topic) ? ' checked' : ''}> ${escapeHtml(TOPIC_LABELS[topic])}</label></p>`).join('')}
+        <button type="submit">Save preferences</button>
+      </form>
+    `));
+
+  } catch (error) {
+    console.error('Get newsletter preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
+
+// Update Newsletter Preferences (signed link from email)
+// Choosing no topics unsubscribes; choosing some resubscribes someone who had
+// unsubscribed, since the signed link proves they own the address
+app.post('/api/newsletter/preferences', async (req, res) => {
+  try {
+    const found = await findSubscriptionByToken(req.body.token || req.query.token, NEWSLETTER_MANAGE_PURPOSE);
+
+    if (!found) {
+      return sendLinkResponse(req, res, 400, 'Invalid Link', 'This preferences link is invalid.');
+    }
+
+    const { subscription } = found;
+    const topics = parseNewsletterTopics(req.body.topics, []);
+
+    if (!topics.length) {
+      if (subscription.isActive) {
+        subscription.isActive = false;
+        subscription.unsubscribedAt = new Date();
+      }
+    } else {
+      subscription.topics = topics;
+      if (!subscription.isActive) {
+        subscription.isActive = true;
+        subscription.confirmedAt = subscription.confirmedAt || new Date();
+        subscription.subscribedAt = new Date();
+        subscription.unsubscribedAt = undefined;
+      }
+    }
+
+    await subscription.save();
+
+    sendLinkResponse(req, res, 200, 'Preferences Saved', topics.length
+      ? `You will hear from us about: ${topics.map(topic => TOPIC_LABELS[topic].toLowerCase()).join('; ')}.`
+      : 'You have been unsubscribed and will no longer receive our newsletter.');
+
+  } catch (error) {
+    console.error('Update newsletter preferences error:', error);
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
+const SUBSCRIBER_CSV_FIELDS = {
+  email: ['email', 'emailaddress', 'mail'],
+  name: ['name', 'fullname'],
+  topics: ['topics', 'interests'],
+  subscribedAt: ['subscribedat', 'subscribed', 'signupdate', 'date']
+};
+
+const subscriberStatus = (subscription) => {
+  if (subscription.isActive) return 'active';
+  return subscription.unsubscribedAt ? 'unsubscribed' : 'pending';
+};
+
+// Import Subscribers from CSV (Admin only)
+// Body: csv, optional mapping, dryRun (defaults to true). Imported people
+// signed up before double opt-in, so they are added as active subscribers.
+app.post('/api/newsletter/subscribers/import', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const { records, columns, error } = readCsvRecords(req.body.csv, req.body.mapping, SUBSCRIBER_CSV_FIELDS);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const report = await runCsvImport({
+      records,
+      columns,
+      model: Newsletter,
+      dryRun: isDryRun(req.body),
+      prepare: ({ email, name, topics, subscribedAt }) => {
+        const subscribedDate = subscribedAt ? new Date(subscribedAt) : new Date();
+        if (isNaN(subscribedDate)) return { error: `Invalid subscribed date "${subscribedAt}"` };
+
+        const topicList = topics
+          ? topics.toLowerCase().split(/[;|,]/).map(topic => topic.trim()).filter(Boolean)
+          : [...NEWSLETTER_TOPICS];
+        const unknownTopic = topicList.find(topic => !NEWSLETTER_TOPICS.includes(topic));
+        if (unknownTopic) return { error: `Unknown topic "${unknownTopic}"` };
+
+        return {
+          doc: { email, name: name || undefined, topics: topicList, isActive: true, subscribedAt: subscribedDate }
+        };
+      }
+    });
+
+    res.status(report.dryRun ? 200 : 201).json(report);
+
+  } catch (error) {
+    console.error('Import subscribers error:', error);
+    res.status(500).json({ error: 'Failed to import subscribers' });
+  }
+});
+
+// Export Subscribers as CSV (Admin only)
+// status: active, pending or unsubscribed (all by default)
+app.get('/api/newsletter/subscribers/export.csv', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const filter = { ...NOT_QUARANTINED };
+    if (req.query.status === 'active') filter.isActive = true;
+    else if (req.query.status === 'pending') Object.assign(filter, { isActive: false, unsubscribedAt: null });
+    else if (req.query.status === 'unsubscribed') Object.assign(filter, { isActive: false, unsubscribedAt: { $ne: null } });
+    else if (req.query.status) return res.status(400).json({ error: 'Invalid status' });
+
+    const subscribers = await Newsletter.find(filter).sort({ subscribedAt: -1 });
+
+    sendCsv(res, 'newsletter-subscribers.csv', [
+      ['Email', subscriber => subscriber.email],
+      ['Name', subscriber => subscriber.name],
+      ['Status', subscriberStatus],
+      ['Topics', subscriber => subscriber.topics.join(';')],
+      ['Subscribed', subscriber => subscriber.subscribedAt],
+      ['Confirmed', subscriber => subscriber.confirmedAt],
+      ['Unsubscribed', subscriber => subscriber.unsubscribedAt]
+    ], subscribers);
+
+  } catch (error) {
+    console.error('Export subscribers error:', error);
+    res.status(500).json({ error: 'Failed to export subscribers' });
+  }
+});
+
+// =============================================================================
+// NEWSLETTER CAMPAIGN ROUTES
+// =============================================================================
+
+const CAMPAIGN_FIELDS = ['title', 'subject', 'html', 'text', 'topic'];
+
+// Returns an error message if campaign content has tags that don't render
+const checkCampaignContent = (campaign) => {
+  const data = { name: '[name]', email: '[email]' };
+  const rendered = [campaign.subject, campaign.html, campaign.text || '']
+    .map(part => renderTemplate(part || '', data, keepTemplateText))
+    .join('');
+
+  return /\{\{|\}\}/.test(rendered) ? 'Campaign has unbalanced or malformed {{tags}}' : null;
+};
+
+// Get Campaigns (Admin only)
+app.get('/api/newsletter/campaigns', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      if (!isEnumValue(campaignSchema, 'status', req.query.status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+      }
+      filter.status = req.query.status;
+    }
+
+    const countStatus = status => ({
+      $size: { $filter: { input: '$recipients', cond: { $eq: ['$$this.status', status] } } }
+    });
+
+    const campaigns = await Campaign.aggregate([
+      { $match: filter },
+      { $sort: { createdAt: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      {
+        $project: {
+          title: 1,
+          subject: 1,
+          topic: 1,
+          status: 1,
+          scheduledAt: 1,
+          startedAt: 1,
+          completedAt: 1,
+          createdBy: 1,
+          createdAt: 1,
+          counts: {
+            total: { $size: '$recipients' },
+            ...Object.fromEntries(CAMPAIGN_RECIPIENT_STATUSES.map(status => [status, countStatus(status)]))
+          }
+        }
+      }
+    ]);
+
+    const total = await Campaign.countDocuments(filter);
+
+    res.json({
+      campaigns,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+// Create Campaign Draft (Admin only)
+app.post('/api/newsletter/campaigns', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const campaign = new Campaign({ createdBy: req.user.id });
+    CAMPAIGN_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) campaign[field] = req.body[field] || undefined;
+    });
+
+    const contentError = checkCampaignContent(campaign);
+    if (contentError) {
+      return res.status(400).json({ error: contentError });
+    }
+
+    await campaign.save();
+
+    res.status(201).json(campaignSummary(campaign));
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Create campaign error:', error);
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+// Get Campaign Details (Admin only)
+app.get('/api/newsletter/campaigns/:id', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id).populate('createdBy', 'name');
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(campaignSummary(campaign));
+
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
+
+// Get Campaign Recipients and their Delivery Status (Admin only)
+// Filters: status
+app.get('/api/newsletter/campaigns/:id/recipients', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const campaign = await Campaign.findById(req.params.id).select('recipients');
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const recipients = req.query.status
+      ? campaign.recipients.filter(recipient => recipient.status === req.query.status)
+      : campaign.recipients;
+
+    res.json({
+      recipients: recipients.slice((page - 1) * limit, page * limit),
+      currentPage: page,
+      totalPages: Math.ceil(recipients.length / limit),
+      total: recipients.length
+    });
+
+  } catch (error) {
+    console.error('Get campaign recipients error:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign recipients' });
+  }
+});
+
+// Update Campaign (Admin only)
+// Only drafts and scheduled campaigns can be edited
+app.patch('/api/newsletter/campaigns/:id', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (!['draft', 'scheduled'].includes(campaign.status)) {
+      return res.status(400).json({ error: `A ${campaign.status} campaign can no longer be edited` });
+    }
+
+    CAMPAIGN_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) campaign[field] = req.body[field] || undefined;
+    });
+    campaign.updatedAt = new Date();
+
+    const contentError = checkCampaignContent(campaign);
+    if (contentError) {
+      return res.status(400).json({ error: contentError });
+    }
+
+    await campaign.save();
+
+    res.json(campaignSummary(campaign));
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update campaign error:', error);
+    res.status(500).json({ error: 'Failed to update campaign' });
+  }
+});
+
+// Delete Campaign (Admin only)
+app.delete('/api/newsletter/campaigns/:id', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findOneAndDelete({ _id: req.params.id, status: { $ne: 'sending' } });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found or still sending' });
+    }
+
+    res.json({ message: 'Campaign deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({ error: 'Failed to delete campaign' });
+  }
+});
+
+// Preview Campaign (Admin only)
+// Renders for a sample recipient, or the `name` and `email` given in the body
+app.post('/api/newsletter/campaigns/:id/preview', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id).select('-recipients');
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(await renderCampaignEmail(campaign, {
+      name: req.body.name || 'Friend',
+      email: req.body.email || 'subscriber@example.com'
+    }));
+
+  } catch (error) {
+    console.error('Preview campaign error:', error);
+    res.status(500).json({ error: 'Failed to preview campaign' });
+  }
+});
+
+// Send a Test Email (Admin only)
+// Goes to `email` in the body, or the signed-in admin
+app.post('/api/newsletter/campaigns/:id/test', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const email = String(req.body.email || req.user.email || '').trim().toLowerCase();
+
+    if (!validator.isEmail(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const campaign = await Campaign.findById(req.params.id).select('-recipients');
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const rendered = await renderCampaignEmail(campaign, { name: req.body.name, email });
+    await queueEmail({ ...rendered, to: email, subject: `[TEST] ${rendered.subject}` }, { template: 'campaign-test' });
+
+    res.json({ message: `Test email queued for ${email}` });
+
+  } catch (error) {
+    console.error('Test campaign error:', error);
+    res.status(500).json({ error: 'Failed to send test email' });
+  }
+});
+
+// Schedule Campaign (Admin only)
+// Sends at `scheduledAt`, or straight away when it is omitted
+app.post('/api/newsletter/campaigns/:id/schedule', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const scheduledAt = req.body.scheduledAt ? new Date(req.body.scheduledAt) : new Date();
+
+    if (isNaN(scheduledAt)) {
+      return res.status(400).json({ error: 'Invalid scheduledAt date' });
+    }
+
+    const draft = await Campaign.findOne({ _id: req.params.id, status: { $in: ['draft', 'scheduled'] } })
+      .select('topic');
+
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft or scheduled campaign not found' });
+    }
+
+    if (!await Newsletter.exists(campaignAudience(draft.topic))) {
+      return res.status(400).json({ error: 'There are no active subscribers to send to' });
+    }
+
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: draft._id, status: { $in: ['draft', 'scheduled'] } },
+      { $set: { status: 'scheduled', scheduledAt, updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Draft or scheduled campaign not found' });
+    }
+
+    if (campaignTimer && scheduledAt <= new Date()) setImmediate(processCampaigns);
+
+    res.json(campaignSummary(campaign));
+
+  } catch (error) {
+    console.error('Schedule campaign error:', error);
+    res.status(500).json({ error: 'Failed to schedule campaign' });
+  }
+});
+
+// Cancel Campaign (Admin only)
+// A scheduled campaign goes back to draft; a sending one stops, and
+// recipients not yet queued are skipped
+app.post('/api/newsletter/campaigns/:id/cancel', authenticateToken, requirePermission('manage-newsletter'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      { $set: { status: 'draft', updatedAt: new Date() }, $unset: { scheduledAt: 1 } },
+      { new: true }
+    ) || await Campaign.findOneAndUpdate(
+      { _id: req.params.id, status: 'sending' },
+      {
+        $set: {
+          status: 'cancelled',
+          completedAt: new Date(),
+          'recipients.$[recipient].status': 'skipped'
+        }
+      },
+      { new: true, arrayFilters: [{ 'recipient.status': 'pending' }] }
+    );
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Scheduled or sending campaign not found' });
+    }
+
+    res.json(campaignSummary(campaign));
+
+  } catch (error) {
+    console.error('Cancel campaign error:', error);
+    res.status(500).json({ error: 'Failed to cancel campaign' });
+  }
+});
+
+// =============================================================================
+// SPAM PROTECTION ROUTES
+// =============================================================================
+
+// Get a Form Token (Public)
+// Fetch when rendering a public form and send back as `formToken`
+app.get('/api/forms/token', (req, res) => {
+  res.json({
+    formToken: issueFormToken(),
+    honeypotField: SPAM_HONEYPOT_FIELD,
+    minSubmitSeconds: SPAM_MIN_SUBMIT_SECONDS
+  });
+});
+
+// Quarantinable submissions by URL type, with what releasing one should do
+const QUARANTINE_TYPES = {
+  'prayer-requests': {
+    model: PrayerRequest,
+    release: (prayerRequest) => notifyPrayerTeam(prayerRequest)
+  },
+  contact: {
+    model: ContactMessage,
+    release: (message) => notifyContactMessage(message)
+  },
+  newsletter: {
+    model: Newsletter,
+    prepare: (subscription) => {
+      subscription.confirmationSentAt = new Date();
+    },
+    release: (subscription) => sendNewsletterConfirmation(subscription)
+  }
+};
+
+// Get Quarantine Counts (Admin only)
+app.get('/api/quarantine', authenticateToken, requirePermission('review-spam'), async (req, res) => {
+  try {
+    const counts = await Promise.all(Object.entries(QUARANTINE_TYPES).map(async ([type, { model }]) =>
+      [type, await model.countDocuments({ 'quarantine.isQuarantined': true })]));
+
+    res.json(Object.fromEntries(counts));
+
+  } catch (error) {
+    console.error('Get quarantine counts error:', error);
+    res.status(500).json({ error: 'Failed to fetch quarantine' });
+  }
+});
+
+// Get Quarantined Submissions (Admin only)
+// :type is prayer-requests, contact or newsletter
+app.get('/api/quarantine/:type', authenticateToken, requirePermission('review-spam'), async (req, res) => {
+  try {
+    const quarantineType = QUARANTINE_TYPES[req.params.type];
+
+    if (!quarantineType) {
+      return res.status(404).json({ error: 'Unknown submission type' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = { 'quarantine.isQuarantined': true };
+
+    const submissions = await quarantineType.model.find(filter)
+      .sort({ 'quarantine.quarantinedAt': -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await quarantineType.model.countDocuments(filter);
+
+    res.json({
+      submissions,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+
+  } catch (error) {
+    console.error('Get quarantine error:', error);
+    res.status(500).json({ error: 'Failed to fetch quarantine' });
+  }
+});
+
+// Release a False Positive (Admin only)
+// Sends the notification that was held back when it was quarantined
+app.post('/api/quarantine/:type/:id/release', authenticateToken, requirePermission('review-spam'), async (req, res) => {
+  try {
+    const quarantineType = QUARANTINE_TYPES[req.params.type];
+
+    if (!quarantineType) {
+      return res.status(404).json({ error: 'Unknown submission type' });
+    }
+
+    const submission = await quarantineType.model.findOne({
+      _id: req.params.id,
+      'quarantine.isQuarantined': true
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Quarantined submission not found' });
+    }
+
+    if (quarantineType.prepare) quarantineType.prepare(submission);
+    submission.quarantine.isQuarantined = false;
+    submission.quarantine.releasedAt = new Date();
+    submission.quarantine.releasedBy = req.user.id;
+    await submission.save();
+
+    await quarantineType.release(submission)
+      .catch(mailError => console.error('Quarantine release email error:', mailError));
+
+    res.json(submission);
+
+  } catch (error) {
+    console.error('Release quarantine error:', error);
+    res.status(500).json({ error: 'Failed to release submission' });
+  }
+});
+
+// Delete Confirmed Spam (Admin only)
+app.delete('/api/quarantine/:type/:id', authenticateToken, requirePermission('review-spam'), async (req, res) => {
+  try {
+    const quarantineType = QUARANTINE_TYPES[req.params.type];
+
+    if (!quarantineType) {
+      return res.status(404).json({ error: 'Unknown submission type' });
+    }
+
+    const submission = await quarantineType.model.findOneAndDelete({
+      _id: req.params.id,
+      'quarantine.isQuarantined': true
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Quarantined submission not found' });
+    }
+
+    res.json({ message: 'Spam deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete quarantine error:', error);
+    res.status(500).json({ error: 'Failed to delete submission' });
+  }
+});
+
+// =============================================================================
+// EMAIL TEMPLATE ROUTES
+// =============================================================================
+
+// Only the built-in keys, not properties every object inherits (`constructor`)
+const isTemplateKey = (key) => Object.prototype.hasOwnProperty.call(EMAIL_TEMPLATES, key);
+
+const templateSummary = (key, template) => ({
+  key,
+  description: EMAIL_TEMPLATES[key].description,
+  variables: EMAIL_TEMPLATES[key].variables,
+  subject: template.subject,
+  html: template.html,
+  text: template.text,
+  isCustom: Boolean(template.isCustom),
+  updatedAt: template.updatedAt
+});
+
+// Returns an error message if an edited template is missing the layout's
+// content slot or has tags that don't render
+const checkEmailTemplate = (key, template) => {
+  const data = sampleTemplateData(key);
+  const parts = key === 'layout' ? [template.html, template.text] : [template.subject, template.html, template.text];
+
+  if (key === 'layout' && parts.some(part => !part.includes(LAYOUT_CONTENT))) {
+    return `The layout must contain ${LAYOUT_CONTENT} in both the HTML and text versions`;
+  }
+
+  const rendered = parts
+    .map(part => part.split(LAYOUT_CONTENT).map(piece => renderTemplate(piece, data, keepTemplateText)).join(''))
+    .join('');
+  if (/\{\{|\}\}/.test(rendered)) {
+    return 'Template has unbalanced or malformed {{tags}}';
+  }
+
+  return null;
+};
+
+// List Email Templates (Admin only)
+app.get('/api/email-templates', authenticateToken, requirePermission('manage-email'), async (req, res) => {
+  try {
+    const templates = await Promise.all(Object.keys(EMAIL_TEMPLATES).map(async key =>
+      templateSummary(key, await getEmailTemplate(key))));
+
+    res.json(templates);
+
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    res.status(500).json({ error: 'Failed to fetch email templates' });
+  }
+});
+
+// Get an Email Template (Admin only)
+app.get('/api/email-templates/:key', authenticateToken, requirePermission('manage-email'), async (req, res) => {
+  try {
+    if (!isTemplateKey(req.params.key)) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    res.json(templateSummary(req.params.key, await getEmailTemplate(req.params.key)));
+
+  } catch (error) {
+    console.error('Get email template error:', error);
+    res.status(500).json({ error: 'Failed to fetch email template' });
+  }
+});
+
+// Update an Email Template (Admin only)
+// Accepts subject, html and text; omitted parts keep their current wording
+app.put('/api/email-templates/:key', authenticateToken, requirePermission('manage-email'), async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!isTemplateKey(key)) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const current = await getEmailTemplate(key);
+    const template = {
+      subject: key === 'layout' ? undefined : String(req.body.subject ?? current.subject),
+      html: String(req.body.html ?? current.html),
+      text: String(req.body.text ?? current.text)
+    };
+
+    const templateError = checkEmailTemplate(key, template);
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+
+    const saved = await EmailTemplate.findOneAndUpdate(
+      { key },
+      { ...template, updatedBy: req.user.id, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    res.json(templateSummary(key, { ...saved, isCustom: true }));
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update email template error:', error);
+    res.status(500).json({ error: 'Failed to update email template' });
+  }
+});
+
+// Restore the Built-in Version of an Email Template (Admin only)
+app.delete('/api/email-templates/:key', authenticateToken, requirePermission('manage-email'), async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!isTemplateKey(key)) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    await EmailTemplate.deleteOne({ key });
+
+    res.json(templateSummary(key, EMAIL_TEMPLATES[key]));
+
+  } catch (error) {
+    console.error('Reset email template error:', error);
+    res.status(500).json({ error: 'Failed to reset email template' });
+  }
+});
+
+// Preview an Email Template (Admin only)
+// Renders with sample values, overridden by any `data` in the body
+app.post('/api/email-templates/:key/preview', authenticateToken, requirePermission('manage-email'), async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!isTemplateKey(key) || key === 'layout') {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const data = { ...sampleTemplateData(key), ...(req.body.data || {}) };
+
+    res.json(await renderEmail(key, data, { unsubscribeUrl: req.body.unsubscribeUrl }));
+
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    res.status(500).json({ error: 'Failed to preview email template' });
+  }
+});
+
+// =============================================================================
+// EMAIL QUEUE ROUTES
+// =============================================================================
+
+// Get Email Queue Counts (Admin only)
+app.get('/api/email-queue/stats', authenticateToken, requirePermission('manage-email'), async (req, res) => {
+  try {
+    const counts = await OutboundEmail.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json(Object.fromEntries(
+      OutboundEmail.schema.path('status').enumValues.map(status =>
+        [status, (counts.find(entry => entry._id === status) || { count: 0 }).count])
+    ));
+
+  } catch (error) {
+    console.error('Get email queue stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch email queue stats' });
+  }
+});
+
+// Get Queued Emails (Admin only)
+// Filters: status, template, to
+app.get('/api/email-queue', authenticateToken, requirePermission('manage-email'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      if (!isEnumValue(outboundEmailSchema, 'status', req.query.status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.template) filter.template = String(req.query.template);
+    if (req.query.to) filter.to = String(req.query.to).trim().toLowerCase();
+
+    const emails = await OutboundEmail.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip)
+      .select('-html -text -attachments.content');
+
+    const total = await OutboundEmail.countDocuments(filter);
+
+    res.json({
+      emails,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+
+  } catch (error) {
+    console.error('Get email queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch email queue' });
+  }
+});
+
+// Get a Queued Email (Admin only)
+app.get('/api/email-queue/:id', authenticateToken, requirePermission('manage-email'), async (req, res) => {
+  try {
+    const email = await OutboundEmail.findById(req.params.id).select('-attachments.content');
+
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    res.json(email);
+
+  } catch (error) {
+    console.error('Get queued email error:', error);
+    res.status(500).json({ error: 'Failed to fetch email' });
+  }
+});
+
+// Resend an Email (Admin only)
+// Puts a dead (or already sent) email back on the queue with fresh attempts
+app.post('/api/email-queue/:id/resend', authenticateToken, requirePermission('manage-email'), async (req, res) => {
+  try {
+    const email = await OutboundEmail.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['dead', 'sent'] } },
+      {
+        $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() },
+        $unset: { sentAt: 1, lastError: 1, lockedAt: 1 }
+      },
+      { new: true }
+    ).select('-html -text -attachments.content');
+
+    if (!email) {
+      return res.status(404).json({ error: 'No dead or sent email with that id' });
+    }
+
+    if (emailQueueTimer) setImmediate(processEmailQueue);
+
+    res.json(email);
+
+  } catch (error) {
+    console.error('Resend email error:', error);
+    res.status(500).json({ error: 'Failed to resend email' });
+  }
+});
+
+// =============================================================================
+// SERMONS ROUTES
+// =============================================================================
+
+// Get Sermons (Public)
+// Accepts the same series, speaker, tags and date filters as search
+app.get('/api/sermons', async (req, res) => {
+  try {
+    const { page, limit, skip } = readPage(req.query);
+
+    const { filter, error } = buildSermonFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const sermons = await Sermon.find(filter)
+      .sort({ date: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await Sermon.countDocuments(filter);
+
+    res.json({
+      sermons,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+
+  } catch (error) {
+    console.error('Get sermons error:', error);
+    res.status(500).json({ error: 'Failed to fetch sermons' });
+  }
+});
+
+// Search Sermons (Public)
+// Text search over title, summary and notes (`q`) combined with the series,
+// speaker, tags and date filters. Facet counts reflect the whole result set,
+// not just the current page.
+app.get('/api/sermons/search', async (req, res) => {
+  try {
+    const { page, limit, skip } = readPage(req.query);
+    const q = req.query.q && String(req.query.q).trim();
+
+    const { filter, error } = buildSermonFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const pipeline = [];
+    if (q) {
+      pipeline.push(
+        { $match: { $text: { $search: q }, ...filter } },
+        { $addFields: { score: { $meta: 'textScore' } } }
+      );
+    } else {
+      pipeline.push({ $match: filter });
+    }
+
+    const sort = q && req.query.sort !== 'date' ? { score: -1, date: -1 } : { date: -1 };
+
+    const [result] = await Sermon.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          sermons: [{ $sort: sort }, { $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }],
+          series: countBy('series'),
+          speakers: countBy('speaker'),
+          tags: [{ $unwind: '$tags' }, ...countBy('tags')]
+        }
+      }
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+
+    res.json({
+      sermons: result.sermons,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      facets: {
+        series: result.series,
+        speakers: result.speakers,
+        tags: result.tags
+      }
+    });
+
+  } catch (error) {
+    console.error('Search sermons error:', error);
+    res.status(500).json({ error: 'Failed to search sermons' });
+  }
+});
+
+// List Sermon Series (Public)
+app.get('/api/sermons/series', async (req, res) => {
+  try {
+    const series = await Sermon.aggregate([
+      { $match: { series: { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: '$series',
+          sermonCount: { $sum: 1 },
+          speakers: { $addToSet: '$speaker' },
+          firstSermonDate: { $min: '$date' },
+          latestSermonDate: { $max: '$date' }
+        }
+      },
+      { $sort: { latestSermonDate: -1 } },
+      { $project: { _id: 0, name: '$_id', sermonCount: 1, speakers: 1, firstSermonDate: 1, latestSermonDate: 1 } }
+    ]);
+
+    res.json(series.map(item => ({
+      ...item,
+      slug: slugify(item.name),
+      podcastUrl: `${API_URL}/api/sermons/series/${slugify(item.name)}/podcast.rss`
+    })));
+
+  } catch (error) {
+    console.error('Get sermon series error:', error);
+    res.status(500).json({ error: 'Failed to fetch sermon series' });
+  }
+});
+
+// List Sermon Speakers (Public)
+app.get('/api/sermons/speakers', async (req, res) => {
+  try {
+    const speakers = await Sermon.aggregate([
+      {
+        $group: {
+          _id: '$speaker',
+          sermonCount: { $sum: 1 },
+          latestSermonDate: { $max: '$date' }
+        }
+      },
+      { $sort: { sermonCount: -1, _id: 1 } },
+      { $project: { _id: 0, name: '$_id', sermonCount: 1, latestSermonDate: 1 } }
+    ]);
+
+    res.json(speakers);
+
+  } catch (error) {
+    console.error('Get sermon speakers error:', error);
+    res.status(500).json({ error: 'Failed to fetch sermon speakers' });
+  }
+});
+
+// Parse a Scripture Reference (Public)
+// Lets forms check a reference before submitting a sermon
+app.get('/api/sermons/scripture/parse', (req, res) => {
+  const { refs, error } = parseScripture(req.query.ref);
+
+  if (error || !refs.length) {
+    return res.status(400).json({ error: error || 'Scripture reference is required' });
+  }
+
+  res.json({ refs });
+});
+
+// Podcast Feed of All Sermons (Public)
+app.get('/api/sermons/podcast.rss', async (req, res) => {
+  try {
+    const sermons = await Sermon.find({ audioUrl: { $nin: [null, ''] } })
+      .sort({ date: -1 })
+      .lean();
+
+    const feed = await buildPodcastFeed(sermons, {
+      title: `${process.env.CHURCH_NAME || 'New Revival Baptist Church'} Sermons`,
+      feedUrl: `${API_URL}/api/sermons/podcast.rss`
+    });
+
+    res.set('Content-Type', 'application/rss+xml; charset=utf-8');
+    res.send(feed);
+
+  } catch (error) {
+    console.error('Podcast feed error:', error);
+    res.status(500).json({ error: 'Failed to build podcast feed' });
+  }
+});
+
+// Podcast Feed per Series (Public)
+// Series are addressed by slug, e.g. /api/sermons/series/faith-that-overcomes/podcast.rss
+app.get('/api/sermons/series/:slug/podcast.rss', async (req, res) => {
+  try {
+    const seriesNames = await Sermon.distinct('series', { series: { $nin: [null, ''] } });
+    const series = seriesNames.find(name => slugify(name) === req.params.slug);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Sermon series not found' });
+    }
+
+    const sermons = await Sermon.find({ series, audioUrl: { $nin: [null, ''] } })
+      .sort({ date: -1 })
+      .lean();
+
+    const feed = await buildPodcastFeed(sermons, {
+      title: `${series} - ${process.env.CHURCH_NAME || 'New Revival Baptist Church'}`,
+      feedUrl: `${API_URL}/api/sermons/series/${req.params.slug}/podcast.rss`
+    });
+
+    res.set('Content-Type', 'application/rss+xml; charset=utf-8');
+    res.send(feed);
+
+  } catch (error) {
+    console.error('Series podcast feed error:', error);
+    res.status(500).json({ error: 'Failed to build podcast feed' });
+  }
+});
+
+// Get Sermon Details (Public)
+// Each fetch counts as a view
+app.get('/api/sermons/:id', async (req, res) => {
+  try {
+    const sermon = await Sermon.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { viewCount: 1 } },
+      { new: true }
+    );
+
+    if (!sermon) {
+      return res.status(404).json({ error: 'Sermon not found' });
+    }
+
+    // Other sermons preaching from the same passages
+    const relatedSermons = sermon.scriptureRefs.length
+      ? await Sermon.find({ _id: { $ne: sermon._id }, ...scriptureOverlapFilter(sermon.scriptureRefs) })
+        .sort({ date: -1 })
+        .limit(5)
+        .select('title speaker date scripture series')
+      : [];
+
+    res.json({ ...sermon.toObject(), relatedSermons });
+
+  } catch (error) {
+    console.error('Get sermon error:', error);
+    res.status(500).json({ error: 'Failed to fetch sermon' });
+  }
+});
+
+// Create Sermon (Admin only)
+app.post('/api/sermons', authenticateToken, requirePermission('manage-sermons'), sermonUpload, async (req, res) => {
+  const files = readSermonUploads(req);
+
+  try {
+    const fields = readSermonFields(req.body);
+
+    if (!fields.title || !fields.speaker || !req.body.date) {
+      await removeSermonUploads(files);
+      return res.status(400).json({ error: 'Title, speaker, and date are required' });
+    }
+
+    const uploadError = checkSermonUploads(req);
+    if (uploadError || isNaN(fields.date)) {
+      await removeSermonUploads(files);
+      return res.status(400).json({ error: uploadError || 'Invalid date' });
+    }
+
+    const sermon = new Sermon({ ...fields, ...files });
+    await sermon.save();
+
+    res.status(201).json(sermon);
+
+  } catch (error) {
+    await removeSermonUploads(files);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Create sermon error:', error);
+    res.status(500).json({ error: 'Failed to create sermon' });
+  }
+});
+
+// Update Sermon (Admin only)
+// PUT replaces the editable fields and requires the same fields as creation;
+// PATCH changes only the fields sent. New `audio`/`notesFile` uploads replace
+// the old files, and `removeAudio=true`/`removeNotesFile=true` drop them.
+const updateSermon = (replace) => async (req, res) => {
+  const files = readSermonUploads(req);
+
+  try {
+    const fields = readSermonFields(req.body);
+
+    if (replace && (!fields.title || !fields.speaker || !req.body.date)) {
+      await removeSermonUploads(files);
+      return res.status(400).json({ error: 'Title, speaker, and date are required' });
+    }
+
+    const uploadError = checkSermonUploads(req);
+    if (uploadError || (fields.date && isNaN(fields.date))) {
+      await removeSermonUploads(files);
+      return res.status(400).json({ error: uploadError || 'Invalid date' });
+    }
+
+    const sermon = await Sermon.findById(req.params.id);
+
+    if (!sermon) {
+      await removeSermonUploads(files);
+      return res.status(404).json({ error: 'Sermon not found' });
+    }
+
+    const previousFiles = { audioUrl: sermon.audioUrl, notesFile: sermon.notesFile };
+
+    if (req.body.removeAudio === 'true' || req.body.removeAudio === true) fields.audioUrl = null;
+    if (req.body.removeNotesFile === 'true' || req.body.removeNotesFile === true) fields.notesFile = null;
+
+    sermon.set({ ...fields, ...files });
+    await sermon.save();
+
+    await Promise.all(Object.keys(previousFiles)
+      .filter(field => previousFiles[field] && previousFiles[field] !== sermon[field])
+      .map(field => removeUploadedFile(previousFiles[field])));
+
+    res.json(sermon);
+
+  } catch (error) {
+    await removeSermonUploads(files);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update sermon error:', error);
+    res.status(500).json({ error: 'Failed to update sermon' });
+  }
+};
+
+app.put('/api/sermons/:id', authenticateToken, requirePermission('manage-sermons'), sermonUpload, updateSermon(true));
+app.patch('/api/sermons/:id', authenticateToken, requirePermission('manage-sermons'), sermonUpload, updateSermon(false));
+
+// Delete Sermon (Admin only)
+app.delete('/api/sermons/:id', authenticateToken, requirePermission('manage-sermons'), async (req, res) => {
+  try {
+    const sermon = await Sermon.findByIdAndDelete(req.params.id);
+
+    if (!sermon) {
+      return res.status(404).json({ error: 'Sermon not found' });
+    }
+
+    await removeSermonUploads({ audioUrl: sermon.audioUrl, notesFile: sermon.notesFile });
+
+    res.json({ message: 'Sermon deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete sermon error:', error);
+    res.status(500).json({ error: 'Failed to delete sermon' });
+  }
+});
+
+// =============================================================================
+// LOGIN PROTECTION
+// =============================================================================
+
+// Failed sign-ins are counted per account and per IP. Past `freeAttempts`
+// each failure doubles the wait before the next try (1s, 2s, 4s... up to a
+// minute); at `lockAfter` failures the account or IP is locked for
+// LOGIN_LOCKOUT_MINUTES. IPs get more room, since a whole congregation can
+// share one. Counts start again an hour after the last failure.
+const LOGIN_LIMITS = {
+  account: { freeAttempts: 3, lockAfter: 10 },
+  ip: { freeAttempts: 10, lockAfter: 50 }
+};
+const LOGIN_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const LOGIN_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const LOGIN_MAX_DELAY_MS = 60 * 1000;
+
+// Checked instead when there is no usable account, so unknown and
+// deactivated emails take as long to reject as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Passwords printed by seeddatabase.js
+const DEFAULT_SEED_PASSWORDS = ['admin123', 'pastor123'];
+const SEED_ACCOUNT_EMAILS = ['admin@nrbcarepo.org', 'pastor@nrbcarepo.org'];
+
+const loginAttemptKeys = (email, ip) => [
+  { kind: 'account', value: email },
+  { kind: 'ip', value: ip || 'unknown' }
+];
+
+// Seconds until a sign-in may be tried again, or 0 if it may be tried now
+const loginRetryAfter = async (keys) => {
+  const attempts = await LoginAttempt.find({ $or: keys }).lean();
+  const now = Date.now();
+
+  const waits = attempts.map(attempt => Math.max(
+    attempt.lockedUntil ? attempt.lockedUntil.getTime() - now : 0,
+    attempt.nextAttemptAt ? attempt.nextAttemptAt.getTime() - now : 0
+  ));
+
+  return Math.ceil(Math.max(0, ...waits) / 1000);
+};
+
+// Count an attempt against one key before the password or code is checked,
+// so a burst of parallel requests can't all get in before the first failure
+// is recorded. The check and the count are a single update: it only matches
+// while the key is neither locked nor waiting out a delay, and sets the delay
+// (or lock) that the new count earns. Returns the updated record, or null if
+// the attempt has to wait.
+const reserveLoginAttempt = async ({ kind, value }, ip) => {
+  const now = new Date();
+  const limits = LOGIN_LIMITS[kind];
+  const isStale = { $lt: [{ $ifNull: ['$lastFailureAt', now] }, new Date(now.getTime() - LOGIN_FAILURE_WINDOW_MS)] };
+  const isFirst = { $or: [isStale, { $eq: [{ $ifNull: ['$failures', 0] }, 0] }] };
+  const locks = { $gte: ['$failures', limits.lockAfter] };
+  const delay = { $min: [{ $multiply: [1000, { $pow: [2, { $subtract: ['$failures', limits.freeAttempts + 1] }] }] }, LOGIN_MAX_DELAY_MS] };
+
+  const reserve = (upsert) => LoginAttempt.findOneAndUpdate(
+    {
+      kind,
+      value,
+      lockedUntil: { $not: { $gt: now } },
+      nextAttemptAt: { $not: { $gt: now } }
+    },
+    [
+      {
+        $set: {
+          // Stale counts start again from zero
+          firstFailureAt: { $cond: [isFirst, now, '$firstFailureAt'] },
+          failures: { $add: [{ $cond: [isStale, 0, { $ifNull: ['$failures', 0] }] }, 1] },
+          lastFailureAt: now,
+          lastIp: ip
+        }
+      },
+      {
+        $set: {
+          lockedUntil: { $cond: [locks, new Date(now.getTime() + LOGIN_LOCKOUT_MS), '$lockedUntil'] },
+          lockCount: { $add: [{ $ifNull: ['$lockCount', 0] }, { $cond: [locks, 1, 0] }] },
+          nextAttemptAt: {
+            $cond: [
+              { $and: [{ $gt: ['$failures', limits.freeAttempts] }, { $not: [locks] }] },
+              { $add: [now, delay] },
+              '$$REMOVE'
+            ]
+          }
+        }
+      },
+      // Locking resets the count, so the delays start over once it expires
+      { $set: { failures: { $cond: [locks, 0, '$failures'] } } }
+    ],
+    { new: true, upsert }
+  );
+
+  try {
+    return await reserve(true);
+  } catch (error) {
+    // The record exists but is locked or waiting (so the upsert clashed with
+    // it), or another request created it first
+    if (error.code !== 11000) throw error;
+    return reserve(false);
+  }
+};
+
+// Give back an attempt that turned out to be a correct password or code
+const releaseLoginAttempt = (keys) => LoginAttempt.updateMany(
+  { $or: keys, failures: { $gt: 0 } },
+  { $inc: { failures: -1 } }
+);
+
+// Let the owner know their account was locked, in case it wasn't them
+const notifyAccountLocked = (user, ip) => sendTemplatedEmail('account-locked', user.email, {
+  name: user.name,
+  ip,
+  lockedUntil: moment(Date.now() + LOGIN_LOCKOUT_MS).tz(CHURCH_TIMEZONE).format('h:mm A z [on] MMMM D, YYYY')
+});
+
+// Active accounts that still accept a password printed by seeddatabase.js.
+// Only the seeded accounts and admin/pastor accounts are checked, since
+// bcrypt is deliberately slow.
+const findSeedPasswordAccounts = async () => {
+  const users = await User.find({
+    isActive: true,
+    $or: [{ email: { $in: SEED_ACCOUNT_EMAILS } }, { role: { $in: ['admin', 'pastor'] } }]
+  }).select('email password');
+
+  const matches = [];
+  for (const user of users) {
+    for (const password of DEFAULT_SEED_PASSWORDS) {
+      if (await bcrypt.compare(password, user.password)) {
+        matches.push(user.email);
+        break;
+      }
+    }
+  }
+  return matches;
+};
+
+// =============================================================================
+// TWO-FACTOR AUTHENTICATION
+// =============================================================================
+
+// Time-based one-time passwords (RFC 6238: SHA-1, 6 digits, 30 seconds), as
+// used by Google Authenticator, Authy and the like. Codes from one step
+// either side of now are accepted to allow for clock drift.
+const TWO_FACTOR_ROLES = ['admin', 'pastor'];
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1;
+const TOTP_CODE_PATTERN = /^\d{6}$/;
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_LOGIN_PURPOSE = 'two-factor-login';
+const TWO_FACTOR_SETUP_PURPOSE = 'two-factor-setup';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const requiresTwoFactor = (role) => TWO_FACTOR_ROLES.includes(role);
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (text) => {
+  const bits = String(text).toUpperCase().replace(/[\s=]/g, '').split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// The time step `code` is valid for, or null
+const matchTotpStep = (secret, code, now = Date.now()) => {
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+  }
+  return null;
+};
+
+const otpauthUrl = (user, secret) => {
+  const issuer = process.env.CHURCH_NAME || 'New Revival Baptist Church';
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  // encodeURIComponent rather than URLSearchParams: some apps show a literal + for spaces
+  const params = Object.entries({ secret, issuer, algorithm: 'SHA1', digits: TOTP_DIGITS, period: TOTP_STEP_SECONDS })
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const normaliseRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Fresh recovery codes for the user to write down; only hashes are kept
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(5).toString('hex').replace(/(.{5})(.{5})/, '$1-$2'));
+  return { codes, hashes: codes.map(code => hashToken(normaliseRecoveryCode(code))) };
+};
+
+// Check a second factor: a current authenticator code, or an unused recovery
+// code (which is then spent). Both are claimed atomically, so the same code
+// can't be accepted twice even by simultaneous requests.
+const verifySecondFactor = async (user, code) => {
+  const value = String(code || '').replace(/\s/g, '');
+
+  if (TOTP_CODE_PATTERN.test(value)) {
+    const step = user.twoFactorSecret && matchTotpStep(user.twoFactorSecret, value);
+    if (step == null) return { valid: false };
+
+    const claimed = await User.updateOne(
+      { _id: user._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { twoFactorLastStep: step }
+    );
+    return { valid: claimed.modifiedCount === 1 };
+  }
+
+  const hash = hashToken(normaliseRecoveryCode(value));
+  const spent = await User.findOneAndUpdate(
+    { _id: user._id, recoveryCodes: hash },
+    { $pull: { recoveryCodes: hash } },
+    { new: true }
+  );
+  return spent ? { valid: true, recoveryCodesLeft: spent.recoveryCodes.length } : { valid: false };
+};
+
+// Lets someone who has just passed the password check enroll, when their
+// role requires two-factor authentication and they haven't set it up yet.
+// Other routes use the normal access token.
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body.setupToken) return authenticateToken(req, res, next);
+
+  try {
+    const payload = verifyLinkToken(req.body.setupToken, TWO_FACTOR_SETUP_PURPOSE);
+    const user = payload && await User.findById(payload.id).select('email role isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Setup link has expired, please sign in again' });
+    }
+
+    req.user = { id: String(user._id), email: user.email, role: user.role, setupToken: true };
+    next();
+  } catch (error) {
+    console.error('Two-factor setup authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+};
+
+// =============================================================================
+// AUTHENTICATION ROUTES
+// =============================================================================
+
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Fields returned for a user; never the password hash or reset token
+const USER_FIELDS = 'name email role phone department isActive deactivatedAt lastLogin passwordChangedAt twoFactorEnabled twoFactorEnabledAt createdAt';
+
+// Returns an error message for a password that isn't acceptable
+const checkPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (DEFAULT_SEED_PASSWORDS.includes(password)) {
+    return 'That password is published in the setup instructions; please choose another';
+  }
+  return null;
+};
+
+// Email a single-use reset link. Only a hash of the token is stored, and a
+// new request replaces any earlier link.
+const sendPasswordReset = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await User.updateOne({ _id: user._id }, {
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MS)
   });
+
+  return sendTemplatedEmail('password-reset', user.email, {
+    name: user.name,
+    resetUrl: `${API_URL}/api/auth/reset-password?token=${encodeURIComponent(token)}`,
+    expiresIn: '1 hour'
+  });
+};
+
+// Store a new password and let the user know it changed. Any outstanding
+// reset link stops working, and every session except `keepSessionId` ends.
+const setUserPassword = async (userId, password, keepSessionId) => {
+  const changedAt = new Date();
+  const user = await User.findByIdAndUpdate(userId, {
+    password: await bcrypt.hash(password, 10),
+    passwordChangedAt: changedAt,
+    $unset: { passwordResetToken: 1, passwordResetExpires: 1 }
+  }, { new: true });
+
+  if (user) {
+    await revokeSessions(
+      keepSessionId ? { user: user._id, _id: { $ne: keepSessionId } } : { user: user._id },
+      'password-changed'
+    );
+
+    await sendTemplatedEmail('password-changed', user.email, {
+      name: user.name,
+      changedAt: moment(changedAt).tz(CHURCH_TIMEZONE).format('MMMM D, YYYY [at] h:mm A z')
+    });
+  }
+
+  return user;
+};
+
+const rejectThrottledLogin = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'Too many failed sign-in attempts, please try again later', retryAfter });
+};
+
+// Reserve an attempt against the account and the IP (see LOGIN PROTECTION).
+// Returns null if either has to wait; otherwise `accountLocked` says whether
+// this attempt locked the account, should it fail.
+const reserveLogin = async (keys, ip) => {
+  const [account, address] = await Promise.all(keys.map(key => reserveLoginAttempt(key, ip)));
+  if (!account || !address) return null;
+  return { accountLocked: Boolean(account.lockedUntil && account.lockedUntil > Date.now()) };
+};
+
+// Reject a sign-in whose attempt couldn't be reserved
+const rejectReservedLogin = async (res, keys) => {
+  rejectThrottledLogin(res, Math.max(1, await loginRetryAfter(keys)));
+};
+
+// The reserved attempt failed: email the owner if it locked their account
+const recordFailedLogin = async (reservation, user, ip) => {
+  if (reservation.accountLocked && user && user.isActive) {
+    await notifyAccountLocked(user, ip);
+  }
+};
+
+// Finish signing in once every check has passed: clear the failure count
+// and start a session
+const completeLogin = async (user, req) => {
+  await LoginAttempt.deleteOne({ kind: 'account', value: user.email });
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: await getRolePermissions(user.role)
+    }
+  };
+};
+
+// User Registration (Admin only)
+app.post('/api/auth/register', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const { name, email, password, role, phone, department } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'Name, email, and password are required' });
+    }
+
+    const weakPassword = checkPassword(password);
+    if (weakPassword) {
+      return res.status(400).json({ error: weakPassword });
+    }
+
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of ${USER_ROLES.join(', ')}` });
+    }
+
+    if (!canAssignRole(req.user, role)) {
+      return res.status(403).json({ error: 'Only admins can create admin accounts' });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const newUser = new User({
+      name,
+      email,
+      password: hashedPassword,
+      role,
+      phone,
+      department
+    });
+
+    await newUser.save();
+
+    res.status(201).json({ message: 'User created successfully', id: newUser._id });
+
+  } catch (error) {
+    console.error('User registration error:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// User Login
+// Failed attempts are throttled and can lock the account or IP (see LOGIN
+// PROTECTION). Unknown emails are counted the same way as real ones.
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const keys = loginAttemptKeys(email, req.ip);
+    const reservation = await reserveLogin(keys, req.ip);
+    if (!reservation) {
+      return rejectReservedLogin(res, keys);
+    }
+
+    const user = await User.findOne({ email });
+    const canSignIn = Boolean(user && user.isActive);
+    const passwordMatches = await bcrypt.compare(String(password), canSignIn ? user.password : DUMMY_PASSWORD_HASH);
+    const isValidPassword = canSignIn && passwordMatches;
+
+    if (!isValidPassword) {
+      await recordFailedLogin(reservation, user, req.ip);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await releaseLoginAttempt(keys);
+
+    // The password is right, but no session until the second factor is too.
+    // Failures are kept until then, so codes can't be guessed freely.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signLinkToken(TWO_FACTOR_LOGIN_PURPOSE, { id: String(user._id) }, { expiresIn: '5m' })
+      });
+    }
+
+    if (requiresTwoFactor(user.role)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        setupToken: signLinkToken(TWO_FACTOR_SETUP_PURPOSE, { id: String(user._id) }, { expiresIn: '15m' })
+      });
+    }
+
+    res.json(await completeLogin(user, req));
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Failed to login' });
+  }
 });
 
-// =============================================================================
-// PRAYER REQUESTS ROUTES
-// =============================================================================
+// Verify the Second Factor at Login
+// Body: challengeToken (from /api/auth/login), code (an authenticator code
+// or a recovery code)
+app.post('/api/auth/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
 
-// Submit Prayer Request
-app.post('/api/prayer-requests', async (req, res) => {
+    const payload = verifyLinkToken(challengeToken, TWO_FACTOR_LOGIN_PURPOSE);
+    const user = payload && await User.findById(payload.id);
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: 'Sign-in has expired, please enter your password again' });
+    }
+
+    const keys = loginAttemptKeys(user.email, req.ip);
+    const reservation = await reserveLogin(keys, req.ip);
+    if (!reservation) {
+      return rejectReservedLogin(res, keys);
+    }
+
+    const { valid, recoveryCodesLeft } = await verifySecondFactor(user, code);
+    if (!valid) {
+      await recordFailedLogin(reservation, user, req.ip);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await releaseLoginAttempt(keys);
+
+    res.json({ ...await completeLogin(user, req), recoveryCodesLeft });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Failed to login' });
+  }
+});
+
+// Refresh an Access Token
+// Body: refreshToken. Returns a new access token and a new refresh token;
+// the old refresh token stops working. Presenting an already-used refresh
+// token ends the session, since it means the token was copied.
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const { name, email, prayerRequest, isPrivate } = req.body;
+    const { refreshToken } = req.body;
 
-    if (!name || !prayerRequest) {
-      return res.status(400).json({ error: 'Name and prayer request are required' });
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
     }
 
-    const newPrayerRequest = new PrayerRequest({
-      name,
-      email,
-      prayerRequest,
-      isPrivate: isPrivate !== false
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = crypto.randomBytes(32).toString('hex');
+
+    const session = await Session.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { tokenHash: hashToken(nextToken), previousTokenHash: tokenHash, lastUsedAt: new Date() },
+      { new: true }
+    );
+
+    if (!session) {
+      await revokeSessions({ previousTokenHash: tokenHash }, 'reused');
+      return res.status(401).json({ error: 'Session has ended, please sign in again' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await revokeSessions({ _id: session._id }, 'deactivated');
+      return res.status(401).json({ error: 'Session has ended, please sign in again' });
+    }
+
+    res.json({
+      token: signAccessToken(user, session._id),
+      refreshToken: nextToken,
+      expiresIn: ACCESS_TOKEN_TTL
     });
 
-    await newPrayerRequest.save();
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
 
-    // Send email notification to church staff
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: process.env.PRAYER_EMAIL,
-      subject: 'New Prayer Request - NRBC Arepo',
-      html: `
-        <h2>New Prayer Request Submitted</h2>
-        <p><strong>Name:</strong> ${name}</p>
-        <p><strong>Email:</strong> ${email || 'Not provided'}</p>
-        <p><strong>Request:</strong></p>
-        <p>${prayerRequest}</p>
-        <p><strong>Privacy:</strong> ${isPrivate ? 'Private' : 'Can be shared'}</p>
-        <p><strong>Submitted:</strong> ${new Date().toLocaleString()}</p>
-      `
-    };
+// Log Out of This Session
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.user.sessionId }, 'logout');
 
-    await transporter.sendMail(mailOptions);
+    res.json({ message: 'Logged out' });
 
-    res.status(201).json({
-      message: 'Prayer request submitted successfully',
-      id: newPrayerRequest._id
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Log Out of Every Session, including this one
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await revokeSessions({ user: req.user.id }, 'logout-all');
+
+    res.json({ message: 'Logged out of all sessions', sessions: result.modifiedCount });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+const SESSION_FIELDS = 'userAgent ip createdAt lastUsedAt expiresAt';
+
+const activeSessionsFilter = (userId) => ({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+// Get My Active Sessions
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find(activeSessionsFilter(req.user.id))
+      .select(SESSION_FIELDS)
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json(sessions.map(session => ({ ...session, isCurrent: String(session._id) === req.user.sessionId })));
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// End One of My Sessions
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await revokeSessions({ _id: req.params.id, user: req.user.id }, 'logout');
+
+    if (!result || !result.modifiedCount) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session ended' });
+
+  } catch (error) {
+    console.error('End session error:', error);
+    res.status(500).json({ error: 'Failed to end session' });
+  }
+});
+
+// Get My Two-Factor Status
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('role twoFactorEnabled twoFactorEnabledAt recoveryCodes');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: requiresTwoFactor(user.role),
+      recoveryCodesLeft: user.recoveryCodes.length
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start Two-Factor Enrollment
+// Authenticated normally, or with the setupToken from /api/auth/login when
+// the role requires two-factor authentication. Returns the secret as an
+// otpauth:// URI and a QR code for authenticator apps.
+app.post('/api/auth/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    const url = otpauthUrl(user, secret);
+
+    res.json({
+      secret,
+      otpauthUrl: url,
+      qrCode: await QRCode.toDataURL(url, { width: 240, margin: 1 })
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish Two-Factor Enrollment
+// Body: code from the authenticator app (plus setupToken when signing in).
+// Returns the recovery codes, which are shown only this once; with a
+// setupToken it also completes the sign-in.
+app.post('/api/auth/2fa/enable', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const keys = loginAttemptKeys(user.email, req.ip);
+    const reservation = await reserveLogin(keys, req.ip);
+    if (!reservation) {
+      return rejectReservedLogin(res, keys);
+    }
+
+    const code = String(req.body.code || '').replace(/\s/g, '');
+    const step = user.twoFactorPendingSecret && TOTP_CODE_PATTERN.test(code)
+      ? matchTotpStep(user.twoFactorPendingSecret, code)
+      : null;
+
+    if (step == null) {
+      await recordFailedLogin(reservation, user, req.ip);
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await releaseLoginAttempt(keys);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorLastStep = step;
+    user.recoveryCodes = hashes;
+    await user.save();
+
+    const login = req.user.setupToken ? await completeLogin(user, req) : {};
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: codes, ...login });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Replace My Recovery Codes
+// Body: code (authenticator or recovery code). Earlier codes stop working.
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const keys = loginAttemptKeys(user.email, req.ip);
+    const reservation = await reserveLogin(keys, req.ip);
+    if (!reservation) {
+      return rejectReservedLogin(res, keys);
+    }
+
+    const { valid } = await verifySecondFactor(user, req.body.code);
+    if (!valid) {
+      await recordFailedLogin(reservation, user, req.ip);
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await releaseLoginAttempt(keys);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { recoveryCodes: hashes });
+
+    res.json({ recoveryCodes: codes });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to create recovery codes' });
+  }
+});
+
+// Turn Off Two-Factor Authentication
+// Body: password, code. Not allowed for roles that require it.
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (requiresTwoFactor(user.role)) {
+      return res.status(403).json({ error: `Two-factor authentication is required for the ${user.role} role` });
+    }
+
+    const keys = loginAttemptKeys(user.email, req.ip);
+    const reservation = await reserveLogin(keys, req.ip);
+    if (!reservation) {
+      return rejectReservedLogin(res, keys);
+    }
+
+    const isValidPassword = await bcrypt.compare(String(req.body.password || ''), user.password);
+    if (!isValidPassword) {
+      await recordFailedLogin(reservation, user, req.ip);
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    const { valid } = await verifySecondFactor(user, req.body.code);
+    if (!valid) {
+      await recordFailedLogin(reservation, user, req.ip);
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await releaseLoginAttempt(keys);
+
+    await User.updateOne({ _id: user._id }, {
+      twoFactorEnabled: false,
+      recoveryCodes: [],
+      $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorEnabledAt: 1, twoFactorLastStep: 1 }
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Get My Profile
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ ...user.toObject(), permissions: await loadPermissions(req) });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Update My Profile
+// Accepts name and phone; role, department and email are changed by an admin
+app.patch('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const updates = {};
+    ['name', 'phone'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const user = await User.findByIdAndUpdate(req.user.id, updates, { new: true, runValidators: true })
+      .select(USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ ...user.toObject(), permissions: await loadPermissions(req) });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Change My Password
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    const weakPassword = checkPassword(newPassword);
+    if (weakPassword) {
+      return res.status(400).json({ error: weakPassword });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValidPassword = await bcrypt.compare(String(currentPassword), user.password);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    await setUserPassword(user._id, newPassword, req.user.sessionId);
+
+    res.json({ message: 'Password changed successfully. Your other sessions have been signed out.' });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Forgot Password
+// Always answers the same way, so it can't be used to find out who has an account
+app.post('/api/auth/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!validator.isEmail(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const user = await User.findOne({ email, isActive: true });
+    if (user) {
+      await sendPasswordReset(user);
+    }
+
+    res.json({ message: 'If that email belongs to an account, a password reset link is on its way.' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send password reset' });
+  }
+});
+
+// Reset Password Form (link from email)
+// Only shows the form; the token is spent when the form is submitted
+app.get('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token } = req.query;
+    const user = token && await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    }).select('email');
+
+    if (!user) {
+      return sendLinkResponse(req, res, 400, 'Invalid Link', 'This password reset link is invalid, has expired or has already been used.');
+    }
+
+    if (req.accepts(['json', 'html']) !== 'html') {
+      return res.json({ email: user.email });
+    }
+
+    res.send(renderMessagePage('Choose a New Password', `
+      <p>Choose a new password for <strong>${escapeHtml(user.email)}</strong>.</p>
+      <form method="POST" action="/api/auth/reset-password">
+        <input type="hidden" name="token" value="${escapeHtml(token)}">
+        <p><input type="password" name="password" minlength="${MIN_PASSWORD_LENGTH}" autocomplete="new-password" required></p>
+        <button type="submit">Save password</button>
+      </form>
+    `));
+
+  } catch (error) {
+    console.error('Get password reset error:', error);
+    res.status(500).json({ error: 'Failed to load password reset' });
+  }
+});
+
+// Reset Password (link from email)
+// Body: token, password. The token is cleared in the same update that finds
+// it, so each link works only once.
+app.post('/api/auth/reset-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const weakPassword = checkPassword(password);
+    if (weakPassword) {
+      return sendLinkResponse(req, res, 400, 'Password Too Short', weakPassword);
+    }
+
+    const user = token && await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+        isActive: true
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    );
+
+    if (!user) {
+      return sendLinkResponse(req, res, 400, 'Invalid Link', 'This password reset link is invalid, has expired or has already been used.');
+    }
+
+    await setUserPassword(user._id, password);
+
+    sendLinkResponse(req, res, 200, 'Password Changed', 'Your password has been changed. You can now sign in with it.');
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// =============================================================================
+// USER MANAGEMENT ROUTES
+// =============================================================================
+
+const USER_CSV_FIELDS = {
+  email: ['email', 'emailaddress', 'mail'],
+  name: ['name', 'fullname'],
+  role: ['role'],
+  phone: ['phone', 'phonenumber', 'mobile', 'telephone'],
+  department: ['department', 'ministry', 'unit']
+};
+
+// Roles CSV imports may assign; admins are only ever created one at a time
+const IMPORTABLE_ROLES = ['pastor', 'staff', 'volunteer'];
+
+// Import Users from CSV (Admin only)
+// Body: csv, optional mapping, dryRun (defaults to true). Imported users get
+// an unusable random password and choose their own through a reset link.
+app.post('/api/users/import', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const { records, columns, error } = readCsvRecords(req.body.csv, req.body.mapping, USER_CSV_FIELDS);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const dryRun = isDryRun(req.body);
+    // One hash of a discarded random secret serves every imported account
+    const password = dryRun ? undefined : await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    const report = await runCsvImport({
+      records,
+      columns,
+      model: User,
+      dryRun,
+      prepare: ({ email, name, role, phone, department }) => {
+        if (!name) return { error: 'Name is required' };
+
+        const userRole = role ? role.toLowerCase() : 'volunteer';
+        if (!IMPORTABLE_ROLES.includes(userRole)) {
+          return { error: `Role must be one of ${IMPORTABLE_ROLES.join(', ')}` };
+        }
+
+        return {
+          doc: { name, email, password, role: userRole, phone: phone || undefined, department: department || undefined }
+        };
+      }
     });
 
+    res.status(report.dryRun ? 200 : 201).json(report);
+
   } catch (error) {
-    console.error('Prayer request error:', error);
-    res.status(500).json({ error: 'Failed to submit prayer request' });
+    console.error('Import users error:', error);
+    res.status(500).json({ error: 'Failed to import users' });
   }
 });
 
-// Get Prayer Requests (Admin only)
-app.get('/api/prayer-requests', authenticateToken, requireAdmin, async (req, res) => {
+// Get Users (Admin only)
+// Filters: role, active (true/false), department, search (name or email)
+app.get('/api/users', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const prayerRequests = await PrayerRequest.find()
-      .sort({ createdAt: -1 })
+    const filter = {};
+    if (req.query.role) {
+      if (!isEnumValue(userSchema, 'role', req.query.role)) {
+        return res.status(400).json({ error: `Role must be one of ${USER_ROLES.join(', ')}` });
+      }
+      filter.role = req.query.role;
+    }
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+    if (req.query.department) filter.department = exactMatch(req.query.department);
+    if (req.query.search) {
+      const search = new RegExp(escapeRegExp(String(req.query.search).trim()), 'i');
+      filter.$or = [{ name: search }, { email: search }];
+    }
+
+    const users = await User.find(filter)
+      .select(USER_FIELDS)
+      .sort({ name: 1 })
       .limit(limit)
       .skip(skip);
 
-    const total = await PrayerRequest.countDocuments();
+    const total = await User.countDocuments(filter);
 
     res.json({
-      prayerRequests,
+      users,
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       total
     });
 
   } catch (error) {
-    console.error('Get prayer requests error:', error);
-    res.status(500).json({ error: 'Failed to fetch prayer requests' });
+    console.error('Get users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
   }
 });
 
-// Update Prayer Request Status
-app.patch('/api/prayer-requests/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Get User Details (Admin only)
+app.get('/api/users/:id', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
-    const { isAnswered } = req.body;
-    
-    const prayerRequest = await PrayerRequest.findByIdAndUpdate(
-      req.params.id,
-      { 
-        isAnswered,
-        answeredAt: isAnswered ? new Date() : null
-      },
-      { new: true }
-    );
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await User.findById(req.params.id).select(USER_FIELDS);
 
-    if (!prayerRequest) {
-      return res.status(404).json({ error: 'Prayer request not found' });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json(prayerRequest);
+    res.json(user);
 
   } catch (error) {
-    console.error('Update prayer request error:', error);
-    res.status(500).json({ error: 'Failed to update prayer request' });
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
   }
 });
 
-// =============================================================================
-// EVENTS ROUTES
-// =============================================================================
+// A JSON boolean or the strings 'true'/'false'; anything else is undefined
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
 
-// Get Events (Public)
-app.get('/api/events', async (req, res) => {
+// Update a User (Admin only)
+// Accepts name, email, phone, department, role and isActive. Setting
+// isActive to false deactivates the account.
+app.patch('/api/users/:id', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
-    const { upcoming, category, limit } = req.query;
-    let query = {};
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) && await User.findById(req.params.id);
 
-    if (upcoming === 'true') {
-      query.date = { $gte: new Date() };
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    if (category) {
-      query.category = category;
+    const { role } = req.body;
+    const isActive = req.body.isActive === undefined ? undefined : parseBoolean(req.body.isActive);
+    const isSelf = user._id.equals(req.user.id);
+
+    if (req.body.isActive !== undefined && isActive === undefined) {
+      return res.status(400).json({ error: 'isActive must be true or false' });
     }
 
-    const events = await Event.find(query)
-      .sort({ date: 1 })
-      .limit(parseInt(limit) || 50)
-      .populate('createdBy', 'name');
+    if (!canAssignRole(req.user, user.role) || !canAssignRole(req.user, role)) {
+      return res.status(403).json({ error: 'Only admins can change admin accounts' });
+    }
+
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of ${USER_ROLES.join(', ')}` });
+    }
+
+    if (req.body.email !== undefined && !validator.isEmail(String(req.body.email).trim())) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
+    // Stops the last admin locking everyone out by accident
+    if (isSelf && ((role !== undefined && role !== user.role) || isActive === false)) {
+      return res.status(400).json({ error: "You can't change your own role or deactivate your own account" });
+    }
+
+    ['name', 'email', 'phone', 'department', 'role'].forEach(field => {
+      if (req.body[field] !== undefined) user[field] = req.body[field];
+    });
+
+    if (user.isModified('email')) {
+      const existingUser = await User.findOne({ email: user.email, _id: { $ne: user._id } });
+      if (existingUser) {
+        return res.status(400).json({ error: 'Another user already has this email' });
+      }
+    }
+
+    if (isActive !== undefined && isActive !== user.isActive) {
+      user.isActive = isActive;
+      user.deactivatedAt = user.isActive ? undefined : new Date();
+    }
+
+    const endSessions = !user.isActive ? 'deactivated' : user.isModified('role') && 'role-changed';
+
+    await user.save();
 
-    res.json(events);
+    if (endSessions) {
+      await revokeSessions({ user: user._id }, endSessions);
+    }
+
+    res.json(await User.findById(user._id).select(USER_FIELDS));
 
   } catch (error) {
-    console.error('Get events error:', error);
-    res.status(500).json({ error: 'Failed to fetch events' });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
   }
 });
 
-// Create Event (Admin only)
-app.post('/api/events', authenticateToken, requireAdmin, upload.single('image'), async (req, res) => {
+// Send a User a Password Reset Link (Admin only)
+// Admins never see or set other people's passwords; this is also how
+// imported users choose their first password
+app.post('/api/users/:id/reset-password', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
-    const {
-      title,
-      description,
-      date,
-      time,
-      location,
-      category,
-      isRecurring,
-      recurringType,
-      maxAttendees
-    } = req.body;
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) && await User.findById(req.params.id);
 
-    if (!title || !description || !date || !time) {
-      return res.status(400).json({ error: 'Title, description, date, and time are required' });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const newEvent = new Event({
-      title,
-      description,
-      date: new Date(date),
-      time,
-      location,
-      category,
-      isRecurring: isRecurring === 'true',
-      recurringType,
-      maxAttendees: maxAttendees ? parseInt(maxAttendees) : null,
-      image: req.file ? `/uploads/${req.file.filename}` : null,
-      createdBy: req.user.id
-    });
+    if (!user.isActive) {
+      return res.status(400).json({ error: 'Reactivate this account before resetting its password' });
+    }
 
-    await newEvent.save();
+    if (!canAssignRole(req.user, user.role)) {
+      return res.status(403).json({ error: 'Only admins can change admin accounts' });
+    }
 
-    res.status(201).json(newEvent);
+    await sendPasswordReset(user);
+
+    res.json({ message: `Password reset link sent to ${user.email}` });
 
   } catch (error) {
-    console.error('Create event error:', error);
-    res.status(500).json({ error: 'Failed to create event' });
+    console.error('Send password reset error:', error);
+    res.status(500).json({ error: 'Failed to send password reset' });
   }
 });
 
-// Register for Event
-app.post('/api/events/:id/register', async (req, res) => {
+// Get a User's Active Sessions (Admin only)
+app.get('/api/users/:id/sessions', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
-    const { name, email, phone } = req.body;
-
-    if (!name || !email) {
-      return res.status(400).json({ error: 'Name and email are required' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const event = await Event.findById(req.params.id);
+    const sessions = await Session.find(activeSessionsFilter(req.params.id))
+      .select(SESSION_FIELDS)
+      .sort({ lastUsedAt: -1 });
 
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
+    res.json(sessions);
 
-    // Check if already registered
-    const alreadyRegistered = event.registeredAttendees.some(
-      attendee => attendee.email === email
-    );
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
 
-    if (alreadyRegistered) {
-      return res.status(400).json({ error: 'Already registered for this event' });
-    }
+// Sign a User Out Everywhere (Admin only)
+app.delete('/api/users/:id/sessions', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) && await User.findById(req.params.id).select('role');
 
-    // Check capacity
-    if (event.maxAttendees && event.registeredAttendees.length >= event.maxAttendees) {
-      return res.status(400).json({ error: 'Event is at full capacity' });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    event.registeredAttendees.push({ name, email, phone });
-    await event.save();
-
-    // Send confirmation email
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: `Event Registration Confirmed - ${event.title}`,
-      html: `
-        <h2>Registration Confirmed</h2>
-        <p>Dear ${name},</p>
-        <p>Thank you for registering for <strong>${event.title}</strong></p>
-        <p><strong>Date:</strong> ${event.date.toDateString()}</p>
-        <p><strong>Time:</strong> ${event.time}</p>
-        <p><strong>Location:</strong> ${event.location}</p>
-        <p>We look forward to seeing you there!</p>
-        <p>Blessings,<br>New Revival Baptist Church</p>
-      `
-    };
+    if (!canAssignRole(req.user, user.role)) {
+      return res.status(403).json({ error: 'Only admins can change admin accounts' });
+    }
 
-    await transporter.sendMail(mailOptions);
+    const result = await revokeSessions({ user: user._id }, 'admin');
 
-    res.json({ message: 'Successfully registered for event' });
+    res.json({ message: 'User signed out of all sessions', sessions: result.modifiedCount });
 
   } catch (error) {
-    console.error('Event registration error:', error);
-    res.status(500).json({ error: 'Failed to register for event' });
+    console.error('End user sessions error:', error);
+    res.status(500).json({ error: 'Failed to end sessions' });
   }
 });
 
-// =============================================================================
-// CONTACT MESSAGES ROUTES
-// =============================================================================
-
-// Submit Contact Message
-app.post('/api/contact', async (req, res) => {
+// Get Login Lockouts (Admin only)
+// Accounts and IPs that are locked or waiting out a delay; `all=true` also
+// lists ones with recent failures
+app.get('/api/login-lockouts', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
-    const { name, email, phone, subject, message } = req.body;
+    const now = new Date();
+    const filter = req.query.all === 'true'
+      ? {}
+      : { $or: [{ lockedUntil: { $gt: now } }, { nextAttemptAt: { $gt: now } }] };
+    if (req.query.kind) filter.kind = req.query.kind;
 
-    if (!name || !email || !subject || !message) {
-      return res.status(400).json({ error: 'All fields except phone are required' });
-    }
+    const attempts = await LoginAttempt.find(filter).sort({ lastFailureAt: -1 }).limit(200).lean();
 
-    const newMessage = new ContactMessage({
-      name,
-      email,
-      phone,
-      subject,
-      message
-    });
+    res.json(attempts.map(attempt => ({
+      ...attempt,
+      isLocked: Boolean(attempt.lockedUntil && attempt.lockedUntil > now)
+    })));
 
-    await newMessage.save();
+  } catch (error) {
+    console.error('Get login lockouts error:', error);
+    res.status(500).json({ error: 'Failed to fetch login lockouts' });
+  }
+});
 
-    // Send notification email
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: process.env.CONTACT_EMAIL,
-      subject: `New Contact Message - ${subject}`,
-      html: `
-        <h2>New Contact Message</h2>
-        <p><strong>Name:</strong> ${name}</p>
-        <p><strong>Email:</strong> ${email}</p>
-        <p><strong>Phone:</strong> ${phone || 'Not provided'}</p>
-        <p><strong>Subject:</strong> ${subject}</p>
-        <p><strong>Message:</strong></p>
-        <p>${message}</p>
-        <p><strong>Submitted:</strong> ${new Date().toLocaleString()}</p>
-      `
-    };
+// Clear a Login Lockout (Admin only)
+// Forgets the failures so the account or IP can sign in straight away
+app.delete('/api/login-lockouts/:id', authenticateToken, requirePermission('manage-users'), async (req, res) => {
+  try {
+    const attempt = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await LoginAttempt.findByIdAndDelete(req.params.id);
 
-    await transporter.sendMail(mailOptions);
+    if (!attempt) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
 
-    res.status(201).json({ message: 'Message sent successfully' });
+    res.json({ message: `Cleared lockout for ${attempt.kind} ${attempt.value}` });
 
   } catch (error) {
-    console.error('Contact message error:', error);
-    res.status(500).json({ error: 'Failed to send message' });
+    console.error('Clear login lockout error:', error);
+    res.status(500).json({ error: 'Failed to clear login lockout' });
   }
 });
 
-// =============================================================================
-// NEWSLETTER ROUTES
-// =============================================================================
-
-// Subscribe to Newsletter
-app.post('/api/newsletter/subscribe', async (req, res) => {
+// Reset a User's Two-Factor Authentication (Admin only)
+// For a lost device: removes the authenticator and recovery codes and signs
+// the user out. Roles that require two-factor set it up again at next sign-in.
+app.post('/api/users/:id/2fa/reset', authenticateToken, requirePermission('manage-users'), async (req, res) => {
   try {
-    const { email, name } = req.body;
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) && await User.findById(req.params.id).select('role');
 
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const existingSubscription = await Newsletter.findOne({ email });
-
-    if (existingSubscription) {
-      if (existingSubscription.isActive) {
-        return res.status(400).json({ error: 'Already subscribed to newsletter' });
-      } else {
-        // Reactivate subscription
-        existingSubscription.isActive = true;
-        existingSubscription.subscribedAt = new Date();
-        existingSubscription.unsubscribedAt = null;
-        await existingSubscription.save();
-        return res.json({ message: 'Newsletter subscription reactivated' });
-      }
+    if (!canAssignRole(req.user, user.role)) {
+      return res.status(403).json({ error: 'Only admins can change admin accounts' });
     }
 
-    const newSubscription = new Newsletter({ email, name });
-    await newSubscription.save();
-
-    // Send welcome email
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'Welcome to NRBC Newsletter!',
-      html: `
-        <h2>Welcome to New Revival Baptist Church Newsletter!</h2>
-        <p>Dear ${name || 'Friend'},</p>
-        <p>Thank you for subscribing to our newsletter. You'll receive updates about:</p>
-        <ul>
-          <li>Upcoming events and services</li>
-          <li>Prayer requests and testimonies</li>
-          <li>Community outreach programs</li>
-          <li>Spiritual encouragement and Bible teachings</li>
-        </ul>
-        <p>God bless you!</p>
-        <p>New Revival Baptist Church, Arepo</p>
-      `
-    };
+    if (user._id.equals(req.user.id)) {
+      return res.status(400).json({ error: 'Ask another admin to reset your two-factor authentication' });
+    }
 
-    await transporter.sendMail(mailOptions);
+    await User.updateOne({ _id: user._id }, {
+      twoFactorEnabled: false,
+      recoveryCodes: [],
+      $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorEnabledAt: 1, twoFactorLastStep: 1 }
+    });
+    await revokeSessions({ user: user._id }, 'admin');
 
-    res.status(201).json({ message: 'Successfully subscribed to newsletter' });
+    res.json({ message: 'Two-factor authentication reset' });
 
   } catch (error) {
-    console.error('Newsletter subscription error:', error);
-    res.status(500).json({ error: 'Failed to subscribe to newsletter' });
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
   }
 });
 
 // =============================================================================
-// SERMONS ROUTES
+// PERMISSION ROUTES
 // =============================================================================
 
-// Get Sermons (Public)
-app.get('/api/sermons', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const sermons = await Sermon.find()
-      .sort({ date: -1 })
-      .limit(limit)
-      .skip(skip);
+const rolePermissionSummary = async (role) => {
+  const custom = role === 'admin' ? null : await RolePermission.findOne({ role }).lean();
 
-    const total = await Sermon.countDocuments();
+  return {
+    role,
+    permissions: await getRolePermissions(role),
+    isCustom: Boolean(custom),
+    isEditable: role !== 'admin',
+    updatedAt: custom ? custom.updatedAt : undefined
+  };
+};
 
+// List Permissions and What Each Role Has (Admin only)
+app.get('/api/permissions', authenticateToken, requirePermission('manage-permissions'), async (req, res) => {
+  try {
     res.json({
-      sermons,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      total
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      roles: await Promise.all(USER_ROLES.map(rolePermissionSummary))
     });
 
   } catch (error) {
-    console.error('Get sermons error:', error);
-    res.status(500).json({ error: 'Failed to fetch sermons' });
+    console.error('Get permissions error:', error);
+    res.status(500).json({ error: 'Failed to fetch permissions' });
   }
 });
 
-// =============================================================================
-// AUTHENTICATION ROUTES
-// =============================================================================
-
-// User Registration (Admin only)
-app.post('/api/auth/register', authenticateToken, requireAdmin, async (req, res) => {
+// Set a Role's Permissions (Admin only)
+// Body: permissions, the full list of permission names the role should have
+app.put('/api/permissions/:role', authenticateToken, requirePermission('manage-permissions'), async (req, res) => {
   try {
-    const { name, email, password, role, phone, department } = req.body;
+    const { role } = req.params;
+    const { permissions } = req.body;
 
-    if (!name || !email || !password) {
-      return res.status(400).json({ error: 'Name, email, and password are required' });
+    if (!USER_ROLES.includes(role)) {
+      return res.status(404).json({ error: 'Role not found' });
     }
 
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
+    if (role === 'admin') {
+      return res.status(400).json({ error: 'The admin role always has every permission' });
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ error: 'permissions must be a list of permission names' });
+    }
 
-    const newUser = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role,
-      phone,
-      department
-    });
+    const unknown = permissions.find(permission => !PERMISSIONS[permission]);
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown permission "${unknown}"` });
+    }
 
-    await newUser.save();
+    await RolePermission.findOneAndUpdate(
+      { role },
+      { permissions: [...new Set(permissions)], updatedBy: req.user.id, updatedAt: new Date() },
+      { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
 
-    res.status(201).json({ message: 'User created successfully', id: newUser._id });
+    res.json(await rolePermissionSummary(role));
 
   } catch (error) {
-    console.error('User registration error:', error);
-    res.status(500).json({ error: 'Failed to create user' });
+    console.error('Update permissions error:', error);
+    res.status(500).json({ error: 'Failed to update permissions' });
   }
 });
 
-// User Login
-app.post('/api/auth/login', async (req, res) => {
+// Restore a Role's Default Permissions (Admin only)
+app.delete('/api/permissions/:role', authenticateToken, requirePermission('manage-permissions'), async (req, res) => {
   try {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-
-    const user = await User.findOne({ email });
-    if (!user || !user.isActive) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    const { role } = req.params;
 
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (!USER_ROLES.includes(role)) {
+      return res.status(404).json({ error: 'Role not found' });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await RolePermission.deleteOne({ role });
 
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
-    });
+    res.json(await rolePermissionSummary(role));
 
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Failed to login' });
+    console.error('Reset permissions error:', error);
+    res.status(500).json({ error: 'Failed to reset permissions' });
   }
 });
 
 // =============================================================================
-// DASHBOARD STATS (Admin only)
+// DASHBOARD STATS
 // =============================================================================
 
-app.get('/api/dashboard/stats', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/dashboard/stats', authenticateToken, requirePermission('view-dashboard'), async (req, res) => {
   try {
     const [
       totalPrayerRequests,
@@ -875,24 +7656,75 @@ app.get('/api/dashboard/stats', authenticateToken, requireAdmin, async (req, res
       newsletterSubscribers,
       totalSermons
     ] = await Promise.all([
-      PrayerRequest.countDocuments(),
-      PrayerRequest.countDocuments({ isAnswered: true }),
-      Event.countDocuments({ date: { $gte: new Date() } }),
-      ContactMessage.countDocuments(),
+      PrayerRequest.countDocuments(NOT_QUARANTINED),
+      PrayerRequest.countDocuments({ isAnswered: true, ...NOT_QUARANTINED }),
+      Event.countDocuments({
+        status: { $ne: 'cancelled' },
+        $or: [
+          { date: { $gte: new Date() } },
+          { isRecurring: true, $or: [{ recurrenceEnd: null }, { recurrenceEnd: { $gte: new Date() } }] }
+        ]
+      }),
+      ContactMessage.countDocuments(NOT_QUARANTINED),
       Newsletter.countDocuments({ isActive: true }),
       Sermon.countDocuments()
     ]);
 
-    const recentPrayerRequests = await PrayerRequest.find()
+    // Recent items are only shown to roles allowed to read them
+    const permissions = await loadPermissions(req);
+
+    const recentPrayerRequests = !permissions.includes('read-prayers') ? [] : await PrayerRequest.find(NOT_QUARANTINED)
       .sort({ createdAt: -1 })
       .limit(5)
       .select('name prayerRequest createdAt');
 
-    const recentMessages = await ContactMessage.find()
+    const recentMessages = !permissions.includes('read-contact') ? [] : await ContactMessage.find(NOT_QUARANTINED)
       .sort({ createdAt: -1 })
       .limit(5)
       .select('name subject createdAt isRead');
 
+    // Registered vs. checked-in counts for the most recent events people signed
+    // up for. Recurring events report their latest occurrence so far, since
+    // tickets are checked in once per occurrence.
+    const recentEvents = await Event.aggregate([
+      { $match: { 'registeredAttendees.0': { $exists: true } } },
+      { $sort: { date: -1 } },
+      { $limit: 10 },
+      {
+        $project: {
+          title: 1,
+          date: 1,
+          status: 1,
+          isRecurring: 1,
+          recurringType: 1,
+          recurrenceEnd: 1,
+          registered: { $size: '$registeredAttendees' },
+          checkedIn: {
+            $size: {
+              $filter: {
+                input: '$registeredAttendees',
+                cond: { $ne: [{ $ifNull: ['$$this.checkedInAt', null] }, null] }
+              }
+            }
+          },
+          checkIns: '$registeredAttendees.checkIns.occurrenceDate',
+          waitlisted: { $size: { $ifNull: ['$waitlist', []] } }
+        }
+      }
+    ]);
+
+    const now = new Date();
+    const eventAttendance = recentEvents.map(({ isRecurring, recurringType, recurrenceEnd, checkIns, ...event }) => {
+      if (!isRecurring) return { ...event, occurrenceDate: toOccurrenceKey(event.date) };
+
+      const [latest] = getSeriesDates({ ...event, isRecurring, recurringType, recurrenceEnd },
+        moment.utc(now).subtract(1, 'year').toDate(), now).slice(-1);
+      const occurrenceDate = latest ? toOccurrenceKey(latest) : null;
+      const checkedIn = checkIns.filter(dates => (dates || []).includes(occurrenceDate)).length;
+
+      return { ...event, occurrenceDate, checkedIn };
+    });
+
     res.json({
       stats: {
         totalPrayerRequests,
@@ -903,7 +7735,8 @@ app.get('/api/dashboard/stats', authenticateToken, requireAdmin, async (req, res
         totalSermons
       },
       recentPrayerRequests,
-      recentMessages
+      recentMessages,
+      eventAttendance
     });
 
   } catch (error) {
@@ -917,18 +7750,128 @@ app.get('/api/dashboard/stats', authenticateToken, requireAdmin, async (req, res
 // =============================================================================
 
 app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ error: err.message });
+  }
+
   console.error(err.stack);
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
+// =============================================================================
+// MAINTENANCE TASKS
+// =============================================================================
+
+const ENCRYPTED_COLLECTIONS = [
+  { model: PrayerRequest, fields: ['prayerRequest', 'email'] },
+  { model: ContactMessage, fields: ['message', 'email', 'replies.message'] },
+  { model: OutboundEmail, fields: ['html', 'text'] },
+  { model: User, fields: ['twoFactorSecret', 'twoFactorPendingSecret'] }
+];
+
+// Re-encrypt every sensitive field that is plain text or under an older key
+// with the current FIELD_ENCRYPTION_KEY. Used by scripts/rotateEncryptionKey.js.
+const reencryptSensitiveFields = async () => {
+  if (!currentEncryptionKey) {
+    throw new Error('FIELD_ENCRYPTION_KEY must be set to re-encrypt data');
+  }
+
+  const summary = {};
+
+  for (const { model, fields } of ENCRYPTED_COLLECTIONS) {
+    const counts = { updated: 0, failed: 0 };
+    const cursor = model.find().select(fields.join(' ')).lean().cursor();
+
+    for await (const doc of cursor) {
+      const update = {};
+      let failed = false;
+
+      expandEncryptedPaths(doc, fields).forEach(field => {
+        const value = getPath(doc, field);
+        if (value == null || value === '' || encryptionKeyId(value) === currentEncryptionKey.id) return;
+
+        const plainText = decryptValue(value);
+        if (isEncrypted(plainText)) {
+          failed = true;
+          return;
+        }
+        update[field] = encryptValue(plainText);
+      });
+
+      if (failed) {
+        counts.failed++;
+        console.error(`${model.modelName} ${doc._id}: could not decrypt with the configured keys`);
+      }
+      if (Object.keys(update).length) {
+        await model.updateOne({ _id: doc._id }, { $set: update });
+        counts.updated++;
+      }
+    }
+
+    summary[model.modelName] = counts;
+  }
+
+  return summary;
+};
+
 // =============================================================================
 // START SERVER
 // =============================================================================
 
-app.listen(PORT, () => {
-  console.log(`🚀 NRBC Church API Server running on port ${PORT}`);
-  console.log(`🌐 Server: http://localhost:${PORT}`);
-  console.log(`📊 Health Check: http://localhost:${PORT}/api/health`);
-});
+// In production, refuse to start while anyone can sign in with the
+// passwords printed by seeddatabase.js
+const checkSeedPasswords = async () => {
+  if (process.env.NODE_ENV !== 'production') return;
+
+  const accounts = await findSeedPasswordAccounts();
+  if (accounts.length) {
+    throw new Error(`These accounts still use a default seed password: ${accounts.join(', ')}. Change their passwords before starting in production.`);
+  }
+};
+
+if (require.main === module) {
+  checkSeedPasswords()
+    .then(() => {
+      startEmailWorker();
+      startCampaignWorker();
+
+      app.listen(PORT, () => {
+        console.log(`🚀 NRBC Church API Server running on port ${PORT}`);
+        console.log(`🌐 Server: http://localhost:${PORT}`);
+        console.log(`📊 Health Check: http://localhost:${PORT}/api/health`);
+      });
+    })
+    .catch(error => {
+      console.error('❌ Refusing to start:', error.message);
+      process.exit(1);
+    });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+module.exports.reencryptSensitiveFields = reencryptSensitiveFields;
+module.exports.registerAttendee = registerAttendee;
+module.exports.parseScripture = parseScripture;
+module.exports.getSeriesDates = getSeriesDates;
+module.exports.findSeriesDate = findSeriesDate;
+module.exports.expandOccurrences = expandOccurrences;
+module.exports.base32Encode = base32Encode;
+module.exports.base32Decode = base32Decode;
+module.exports.totpCode = totpCode;
+module.exports.matchTotpStep = matchTotpStep;
+module.exports.generateRecoveryCodes = generateRecoveryCodes;
+module.exports.verifySecondFactor = verifySecondFactor;
+module.exports.encryptValue = encryptValue;
+module.exports.decryptValue = decryptValue;
+module.exports.isEncrypted = isEncrypted;
+module.exports.parseEventTime = parseEventTime;
+module.exports.getEventTimes = getEventTimes;
+module.exports.buildICalendar = buildICalendar;
+module.exports.spamGuard = spamGuard;
+module.exports.renderTemplate = renderTemplate;
+module.exports.escapeTemplateHtml = escapeTemplateHtml;
+module.exports.checkEmailTemplate = checkEmailTemplate;
+module.exports.renderEmail = renderEmail;
+module.exports.parseCsv = parseCsv;
+module.exports.readCsvRecords = readCsvRecords;
+module.exports.csvCell = csvCell;
+module.exports.toCsv = toCsv;
\ No newline at end of file
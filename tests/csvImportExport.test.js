@@ -0,0 +1,214 @@
+// CSV parsing and writing, and the newsletter subscriber import and export
+const mongoose = require('mongoose');
+const request = require('supertest');
+const database = require('./helpers/database');
+const { createUser, signIn } = require('./helpers/auth');
+
+process.env.JWT_SECRET = 'test-secret';
+const app = require('../server');
+const { parseCsv, readCsvRecords, csvCell, toCsv } = app;
+
+const Newsletter = mongoose.model('Newsletter');
+const RolePermission = mongoose.model('RolePermission');
+
+jest.setTimeout(60000);
+
+const FIELDS = {
+  email: ['email', 'emailaddress'],
+  name: ['name', 'fullname'],
+  phone: ['phone', 'mobile']
+};
+
+describe('parseCsv', () => {
+  test.each([
+    ['plain fields', 'a,b,c\n1,2,3', [['a', 'b', 'c'], ['1', '2', '3']]],
+    ['CRLF line ends', 'a,b\r\n1,2\r\n', [['a', 'b'], ['1', '2']]],
+    ['bare CR line ends', 'a,b\r1,2', [['a', 'b'], ['1', '2']]],
+    ['a byte order mark', '\uFEFFemail\nx@example.com', [['email'], ['x@example.com']]],
+    ['quoted commas', '"Okafor, Ada",1', [['Okafor, Ada', '1']]],
+    ['escaped quotes', '"She said ""amen""",2', [['She said "amen"', '2']]],
+    ['line breaks inside quotes', '"Line one\r\nLine two",3', [['Line one\r\nLine two', '3']]],
+    ['empty fields', 'a,,c\n,,', [['a', '', 'c'], ['', '', '']]],
+    ['a missing final newline', 'a\nb', [['a'], ['b']]]
+  ])('reads %s', (_, text, rows) => {
+    expect(parseCsv(text)).toEqual({ rows });
+  });
+
+  test('reports an unterminated quote', () => {
+    expect(parseCsv('name\n"Ada')).toEqual({ error: 'CSV has an unterminated quoted field' });
+  });
+});
+
+describe('readCsvRecords', () => {
+  test('matches headers by alias, ignoring case and punctuation', () => {
+    const csv = 'Full Name,E-mail Address,Church\nAda Okafor, ada@example.com ,NRBC\n';
+
+    expect(readCsvRecords(csv, undefined, FIELDS)).toEqual({
+      records: [{ row: 2, values: { email: 'ada@example.com', name: 'Ada Okafor', phone: '' } }],
+      columns: { email: ['E-mail Address'], name: ['Full Name'], phone: [] }
+    });
+  });
+
+  test('joins several mapped columns with a space', () => {
+    const csv = 'First,Last,Mail\nAda,Okafor,ada@example.com\nSeun,,seun@example.com';
+
+    const { records, columns } = readCsvRecords(csv, { name: ['First', 'Last'], email: 'Mail' }, FIELDS);
+
+    expect(columns.name).toEqual(['First', 'Last']);
+    expect(records.map(record => record.values.name)).toEqual(['Ada Okafor', 'Seun']);
+  });
+
+  test('skips blank lines but keeps row numbers matching the file', () => {
+    const csv = 'email\na@example.com\n\n,\nb@example.com';
+
+    expect(readCsvRecords(csv, null, { email: ['email'] }).records).toEqual([
+      { row: 2, values: { email: 'a@example.com' } },
+      { row: 5, values: { email: 'b@example.com' } }
+    ]);
+  });
+
+  test.each([
+    ['no CSV', undefined, undefined, 'csv must be the CSV file contents as a string'],
+    ['only a header row', 'email\n', undefined, 'CSV needs a header row and at least one data row'],
+    ['no email column', 'name\nAda', undefined, 'No email column found; map one with mapping.email'],
+    ['a mapping to a missing column', 'email\na@example.com', { name: 'Full name' }, 'Column "Full name" (mapped to name) is not in the CSV'],
+    ['an unterminated quote', 'email\n"a@example.com', undefined, 'CSV has an unterminated quoted field']
+  ])('refuses %s', (_, csv, mapping, error) => {
+    expect(readCsvRecords(csv, mapping, FIELDS)).toEqual({ error });
+  });
+});
+
+describe('csvCell and toCsv', () => {
+  test.each([
+    ['plain text', 'Ada', 'Ada'],
+    ['nothing', null, ''],
+    ['a number', 42, '42'],
+    ['a date', new Date('2025-03-02T07:00:00Z'), '2025-03-02T07:00:00.000Z'],
+    ['a comma', 'Okafor, Ada', '"Okafor, Ada"'],
+    ['quotes', 'She said "amen"', '"She said ""amen"""'],
+    ['a line break', 'one\ntwo', '"one\ntwo"'],
+    ['a formula', '=HYPERLINK("http://evil.example")', '"\'=HYPERLINK(""http://evil.example"")"'],
+    ['a leading plus', '+2348012345678', '\'+2348012345678'],
+    ['a leading minus', '-1', '\'-1'],
+    ['a leading at sign', '@SUM(A1)', '\'@SUM(A1)']
+  ])('writes %s', (_, value, cell) => {
+    expect(csvCell(value)).toBe(cell);
+  });
+
+  test('writes a header row and one line per record', () => {
+    const csv = toCsv([['Name', person => person.name], ['Email', person => person.email]], [
+      { name: 'Okafor, Ada', email: 'ada@example.com' },
+      { name: 'Seun', email: 'seun@example.com' }
+    ]);
+
+    expect(csv).toBe('Name,Email\r\n"Okafor, Ada",ada@example.com\r\nSeun,seun@example.com\r\n');
+    expect(parseCsv(csv).rows).toEqual([['Name', 'Email'], ['Okafor, Ada', 'ada@example.com'], ['Seun', 'seun@example.com']]);
+  });
+});
+
+describe('subscriber import and export', () => {
+  let token;
+
+  beforeAll(async () => {
+    await database.connect();
+    await RolePermission.create({ role: 'staff', permissions: ['manage-newsletter'] });
+    token = await signIn(app, await createUser());
+  });
+  afterAll(database.disconnect);
+
+  beforeEach(() => Newsletter.deleteMany({}));
+
+  const importCsv = (body) => request(app)
+    .post('/api/newsletter/subscribers/import')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const CSV = [
+    'Email,Name,Topics',
+    'ada@example.com,Ada Okafor,events;sermons',
+    'ADA@example.com,Ada again,',
+    'not-an-email,Someone,',
+    'seun@example.com,Seun,gardening',
+    'existing@example.com,Already here,',
+    'tolu@example.com,,'
+  ].join('\n');
+
+  test('reports what a dry run would do without saving anything', async () => {
+    await Newsletter.create({ email: 'existing@example.com', isActive: true });
+
+    const res = await importCsv({ csv: CSV });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      dryRun: true,
+      totalRows: 6,
+      toCreate: 2,
+      created: 0,
+      invalid: { count: 2 },
+      duplicates: { count: 1, rows: [{ row: 3, email: 'ada@example.com' }] },
+      existing: { count: 1, rows: [{ row: 6, email: 'existing@example.com' }] }
+    });
+    expect(res.body.invalid.rows).toEqual([
+      { row: 4, email: 'not-an-email', error: 'Invalid email address' },
+      { row: 5, email: 'seun@example.com', error: 'Unknown topic "gardening"' }
+    ]);
+    expect(await Newsletter.countDocuments()).toBe(1);
+  });
+
+  test('adds the new subscribers as active when dryRun is false', async () => {
+    const res = await importCsv({ csv: CSV, dryRun: false });
+
+    expect(res.status).toBe(201);
+    expect(res.body.created).toBe(3);
+
+    const ada = await Newsletter.findOne({ email: 'ada@example.com' });
+    expect(ada).toMatchObject({ name: 'Ada Okafor', isActive: true });
+    expect([...ada.topics]).toEqual(['events', 'sermons']);
+    expect([...(await Newsletter.findOne({ email: 'tolu@example.com' })).topics]).toEqual(['events', 'sermons', 'outreach']);
+  });
+
+  test('refuses a CSV it can\'t read', async () => {
+    const res = await importCsv({ csv: 'Name\nAda', dryRun: false });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('No email column found; map one with mapping.email');
+  });
+
+  test('exports subscribers as a CSV download Excel reads as UTF-8', async () => {
+    await Newsletter.create([
+      { email: 'ada@example.com', name: '=cmd|\'/C calc\'!A0', isActive: true, topics: ['events', 'sermons'] },
+      { email: 'left@example.com', isActive: false, unsubscribedAt: new Date() }
+    ]);
+
+    const res = await request(app)
+      .get('/api/newsletter/subscribers/export.csv')
+      .query({ status: 'active' })
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="newsletter-subscribers.csv"');
+    expect(res.text.startsWith('\uFEFF')).toBe(true);
+
+    const { rows } = parseCsv(res.text);
+    expect(rows[0]).toEqual(['Email', 'Name', 'Status', 'Topics', 'Subscribed', 'Confirmed', 'Unsubscribed']);
+    expect(rows.slice(1).map(row => row.slice(0, 4))).toEqual([
+      ['ada@example.com', '\'=cmd|\'/C calc\'!A0', 'active', 'events;sermons']
+    ]);
+  });
+
+  test('round-trips its own export through the import', async () => {
+    await Newsletter.create({ email: 'ada@example.com', name: 'Okafor, Ada', isActive: true, topics: ['outreach'] });
+    const exported = await request(app)
+      .get('/api/newsletter/subscribers/export.csv')
+      .set('Authorization', `Bearer ${token}`);
+    await Newsletter.deleteMany({});
+
+    const res = await importCsv({ csv: exported.text, dryRun: false });
+
+    expect(res.body.created).toBe(1);
+    const ada = await Newsletter.findOne({ email: 'ada@example.com' });
+    expect(ada.name).toBe('Okafor, Ada');
+    expect([...ada.topics]).toEqual(['outreach']);
+  });
+});
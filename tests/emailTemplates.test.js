@@ -0,0 +1,199 @@
+// Email templates: rendering, escaping and the admin template routes
+const mongoose = require('mongoose');
+const request = require('supertest');
+const database = require('./helpers/database');
+const { createUser, signIn } = require('./helpers/auth');
+
+process.env.JWT_SECRET = 'test-secret';
+const app = require('../server');
+const { renderTemplate, escapeTemplateHtml, checkEmailTemplate, renderEmail } = app;
+
+const EmailTemplate = mongoose.model('EmailTemplate');
+const RolePermission = mongoose.model('RolePermission');
+
+jest.setTimeout(60000);
+
+const html = (template, data) => renderTemplate(template, data, escapeTemplateHtml);
+const text = (template, data) => renderTemplate(template, data, value => value);
+
+const contactMessage = {
+  name: 'Ada <b>Okafor</b>',
+  email: 'ada@example.com',
+  phone: 'Not provided',
+  subject: 'Q&A night',
+  message: 'Line one\n<script>alert("hi")</script>',
+  submittedAt: '1/3/2025, 10:00:00 AM'
+};
+
+describe('renderTemplate', () => {
+  test.each([
+    ['a placeholder', 'Dear {{name}},', { name: 'Grace' }, 'Dear Grace,'],
+    ['spaces inside the braces', 'Dear {{ name }},', { name: 'Grace' }, 'Dear Grace,'],
+    ['a missing value', 'Dear {{name}},', {}, 'Dear ,'],
+    ['a null value', 'Dear {{name}},', { name: null }, 'Dear ,'],
+    ['zero', '{{count}} seats left', { count: 0 }, '0 seats left'],
+    ['a section with a value', '{{#url}}Visit {{url}}{{/url}}', { url: 'https://nrbcarepo.org' }, 'Visit https://nrbcarepo.org'],
+    ['a section without one', 'A{{#url}}Visit {{url}}{{/url}}B', { url: '' }, 'AB'],
+    ['an inverted section', '{{^phone}}No phone given{{/phone}}', {}, 'No phone given'],
+    ['an inverted section with a value', '{{^phone}}No phone given{{/phone}}', { phone: '0801' }, ''],
+    ['nested sections', '{{#a}}[{{#b}}both{{/b}}{{^b}}only a{{/b}}]{{/a}}', { a: true }, '[only a]']
+  ])('renders %s', (_, template, data, expected) => {
+    expect(text(template, data)).toBe(expected);
+  });
+
+  test('escapes values in HTML', () => {
+    expect(html('<p>{{message}}</p>', { message: '<script>alert("hi")</script> & \'bye\'' }))
+      .toBe('<p>&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt; &amp; &#39;bye&#39;</p>');
+  });
+
+  test('turns line breaks into <br> in HTML', () => {
+    expect(html('{{message}}', { message: 'one\ntwo\r\nthree' })).toBe('one<br>two<br>three');
+  });
+
+  test('escapes values inside sections too', () => {
+    expect(html('{{#name}}Hi {{name}}{{/name}}', { name: '<i>Grace</i>' })).toBe('Hi &lt;i&gt;Grace&lt;/i&gt;');
+  });
+
+  test('leaves plain text as typed', () => {
+    expect(text('{{message}}', { message: '<b>bold</b> & more' })).toBe('<b>bold</b> & more');
+  });
+
+  test('doesn\'t fill in tags that arrive inside a value', () => {
+    expect(text('{{message}}', { message: 'Hello {{email}}', email: 'secret@example.com' })).toBe('Hello {{email}}');
+  });
+});
+
+describe('checkEmailTemplate', () => {
+  const valid = { subject: 'About {{subject}}', html: '<p>{{message}}</p>', text: '{{message}}' };
+
+  test('accepts a template whose tags all render', () => {
+    expect(checkEmailTemplate('contact-message-staff', valid)).toBeNull();
+  });
+
+  test.each([
+    ['an unclosed tag', { html: '<p>{{message</p>' }],
+    ['an unclosed section', { text: '{{#phone}}Phone: {{phone}}' }],
+    ['a stray closing brace', { subject: 'About }}' }]
+  ])('rejects %s', (_, part) => {
+    expect(checkEmailTemplate('contact-message-staff', { ...valid, ...part }))
+      .toBe('Template has unbalanced or malformed {{tags}}');
+  });
+
+  test('requires the layout to keep its content slot', () => {
+    expect(checkEmailTemplate('layout', { html: '<div>{{{content}}}</div>', text: '{{{content}}}' })).toBeNull();
+    expect(checkEmailTemplate('layout', { html: '<div>{{content}}</div>', text: '{{{content}}}' }))
+      .toBe('The layout must contain {{{content}}} in both the HTML and text versions');
+  });
+});
+
+describe('with a database', () => {
+  let token;
+
+  beforeAll(async () => {
+    await database.connect();
+    await RolePermission.create({ role: 'staff', permissions: ['manage-email'] });
+    token = await signIn(app, await createUser());
+  });
+  afterAll(database.disconnect);
+
+  beforeEach(() => EmailTemplate.deleteMany({}));
+
+  const asStaff = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  describe('renderEmail', () => {
+    test('wraps the built-in template in the layout', async () => {
+      const email = await renderEmail('contact-message-staff', contactMessage);
+
+      expect(email.subject).toBe('New Contact Message - Q&A night');
+      expect(email.html).toMatch(/^<!DOCTYPE html>/);
+      expect(email.html).toContain('<p><strong>Name:</strong> Ada &lt;b&gt;Okafor&lt;/b&gt;</p>');
+      expect(email.html).toContain('<p>Line one<br>&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt;</p>');
+      expect(email.html).not.toContain('<script>');
+      expect(email.text).toContain('Name: Ada <b>Okafor</b>');
+      expect(email.text).toContain('--\nNew Revival Baptist Church, Arepo, Ogun State, Nigeria');
+    });
+
+    test('adds the unsubscribe link only when given one', async () => {
+      const withLink = await renderEmail('contact-message-staff', contactMessage, { unsubscribeUrl: 'https://nrbcarepo.org/u?t=a&b' });
+      const without = await renderEmail('contact-message-staff', contactMessage);
+
+      expect(withLink.html).toContain('<a href="https://nrbcarepo.org/u?t=a&amp;b">Unsubscribe</a>');
+      expect(withLink.text).toContain('Unsubscribe: https://nrbcarepo.org/u?t=a&b');
+      expect(without.html).not.toContain('Unsubscribe');
+    });
+
+    test('uses an admin\'s edited template and still escapes its values', async () => {
+      await EmailTemplate.create({
+        key: 'contact-message-staff',
+        subject: '{{ subject }} from {{name}}',
+        html: '<p>{{name}} wrote: {{message}}</p>',
+        text: '{{name}} wrote: {{message}}'
+      });
+
+      const email = await renderEmail('contact-message-staff', contactMessage);
+
+      expect(email.subject).toBe('Q&A night from Ada <b>Okafor</b>');
+      expect(email.html).toContain('<p>Ada &lt;b&gt;Okafor&lt;/b&gt; wrote: Line one<br>&lt;script&gt;');
+      expect(email.text).toContain('Ada <b>Okafor</b> wrote: Line one\n<script>');
+    });
+  });
+
+  describe('template routes', () => {
+    test('saves an edited template and restores the built-in one', async () => {
+      const saved = await asStaff(request(app).put('/api/email-templates/contact-message-staff'))
+        .send({ subject: 'Message: {{subject}}' });
+
+      expect(saved.status).toBe(200);
+      expect(saved.body).toMatchObject({ key: 'contact-message-staff', subject: 'Message: {{subject}}', isCustom: true });
+      // Parts left out keep their current wording
+      expect(saved.body.html).toContain('<h2>New Contact Message</h2>');
+
+      const restored = await asStaff(request(app).delete('/api/email-templates/contact-message-staff'));
+
+      expect(restored.body).toMatchObject({ subject: 'New Contact Message - {{subject}}', isCustom: false });
+      expect(await EmailTemplate.countDocuments()).toBe(0);
+    });
+
+    test('refuses a template with malformed tags', async () => {
+      const res = await asStaff(request(app).put('/api/email-templates/contact-message-staff'))
+        .send({ html: '<p>{{#phone}}{{phone}}</p>' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Template has unbalanced or malformed {{tags}}');
+      expect(await EmailTemplate.countDocuments()).toBe(0);
+    });
+
+    test('refuses a layout without its content slot', async () => {
+      const res = await asStaff(request(app).put('/api/email-templates/layout'))
+        .send({ html: '<div>Nothing here</div>' });
+
+      expect(res.status).toBe(400);
+    });
+
+    test.each(['no-such-template', 'constructor', 'toString', '__proto__'])('has no template called %s', async (key) => {
+      const res = await asStaff(request(app).put(`/api/email-templates/${key}`)).send({ html: '<p>hi</p>', text: 'hi' });
+
+      expect(res.status).toBe(404);
+      expect(await EmailTemplate.countDocuments()).toBe(0);
+    });
+
+    test('previews with sample values and escapes the data given', async () => {
+      const res = await asStaff(request(app).post('/api/email-templates/contact-message-staff/preview'))
+        .send({ data: { name: '<em>Visitor</em>' } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.subject).toBe('New Contact Message - [subject]');
+      expect(res.body.html).toContain('&lt;em&gt;Visitor&lt;/em&gt;');
+      expect(res.body.html).toContain('[message]');
+    });
+
+    test('needs the manage-email permission', async () => {
+      await RolePermission.updateOne({ role: 'staff' }, { permissions: ['read-contact'] });
+
+      const res = await asStaff(request(app).get('/api/email-templates'));
+
+      expect(res.status).toBe(403);
+      await RolePermission.updateOne({ role: 'staff' }, { permissions: ['manage-email'] });
+    });
+  });
+});
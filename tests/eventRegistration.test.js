@@ -0,0 +1,92 @@
+// Concurrency tests for event registration against an in-memory MongoDB
+const mongoose = require('mongoose');
+const database = require('./helpers/database');
+
+process.env.JWT_SECRET = 'test-secret';
+const { registerAttendee } = require('../server');
+
+const Event = mongoose.model('Event');
+
+jest.setTimeout(60000);
+
+beforeAll(database.connect);
+afterAll(database.disconnect);
+afterEach(database.clearDatabase);
+
+const createEvent = (fields) => Event.create({
+  title: 'Annual Revival Conference',
+  description: 'Three days of worship',
+  date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+  time: '9:00 AM',
+  category: 'conference',
+  createdBy: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+const attendee = (i) => ({ name: `Attendee ${i}`, email: `attendee${i}@example.com` });
+
+describe('registerAttendee', () => {
+  test('never exceeds capacity under simultaneous registrations', async () => {
+    const capacity = 10;
+    const requests = 60;
+    const event = await createEvent({ maxAttendees: capacity, waitlistEnabled: true });
+
+    const results = await Promise.all(
+      Array.from({ length: requests }, (_, i) => registerAttendee(event._id, attendee(i)))
+    );
+
+    expect(results.filter(result => result.error)).toEqual([]);
+    expect(results.filter(result => !result.waitlisted)).toHaveLength(capacity);
+    expect(results.filter(result => result.waitlisted)).toHaveLength(requests - capacity);
+
+    const saved = await Event.findById(event._id).lean();
+    expect(saved.registeredAttendees).toHaveLength(capacity);
+    expect(saved.waitlist).toHaveLength(requests - capacity);
+
+    const emails = [...saved.registeredAttendees, ...saved.waitlist].map(entry => entry.email);
+    expect(new Set(emails).size).toBe(requests);
+  });
+
+  test('refuses everyone past capacity when there is no waitlist', async () => {
+    const event = await createEvent({ maxAttendees: 5, waitlistEnabled: false });
+
+    const results = await Promise.all(
+      Array.from({ length: 30 }, (_, i) => registerAttendee(event._id, attendee(i)))
+    );
+
+    expect(results.filter(result => !result.error)).toHaveLength(5);
+    expect(results.filter(result => result.error).every(result => result.status === 400)).toBe(true);
+
+    const saved = await Event.findById(event._id).lean();
+    expect(saved.registeredAttendees).toHaveLength(5);
+  });
+
+  test('registers each email only once when the same person submits repeatedly', async () => {
+    const event = await createEvent({ maxAttendees: 50, waitlistEnabled: true });
+
+    const results = await Promise.all(
+      Array.from({ length: 20 }, () => registerAttendee(event._id, attendee(1)))
+    );
+
+    expect(results.filter(result => !result.error)).toHaveLength(1);
+
+    const saved = await Event.findById(event._id).lean();
+    expect(saved.registeredAttendees.length + saved.waitlist.length).toBe(1);
+  });
+
+  test('sends new registrants to the waitlist while others are queued for a freed seat', async () => {
+    const event = await createEvent({ maxAttendees: 1, waitlistEnabled: true });
+    await registerAttendee(event._id, attendee(1));
+    await registerAttendee(event._id, attendee(2));
+
+    // A cancellation frees the seat before the waitlist has been promoted
+    await Event.updateOne({ _id: event._id }, { $pull: { registeredAttendees: { email: attendee(1).email } } });
+
+    const result = await registerAttendee(event._id, attendee(3));
+    expect(result.waitlisted).toBe(true);
+
+    const saved = await Event.findById(event._id).lean();
+    expect(saved.registeredAttendees).toHaveLength(0);
+    expect(saved.waitlist.map(entry => entry.email)).toEqual([attendee(2).email, attendee(3).email]);
+  });
+});
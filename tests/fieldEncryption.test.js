@@ -0,0 +1,206 @@
+// Field encryption: AES-256-GCM values, the schema plugin and key rotation.
+// Keys are read when server.js loads, so each key setup gets its own copy of
+// the app (and of mongoose) through jest.isolateModules.
+const crypto = require('crypto');
+const database = require('./helpers/database');
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.setTimeout(60000);
+
+const OLD_KEY = crypto.randomBytes(32).toString('hex');
+const NEW_KEY = crypto.randomBytes(32).toString('hex');
+const OTHER_KEY = crypto.randomBytes(32).toString('base64');
+
+const keyId = (key) => crypto.createHash('sha256').update(Buffer.from(key, 'hex')).digest('hex').slice(0, 8);
+const keyIdOf = (value) => value.split(':')[2];
+const isEncryptedWith = (value, key) => typeof value === 'string' && value.startsWith('enc:v1:') && keyIdOf(value) === keyId(key);
+
+const loadServer = ({ key, oldKeys } = {}) => {
+  const saved = { key: process.env.FIELD_ENCRYPTION_KEY, oldKeys: process.env.FIELD_ENCRYPTION_OLD_KEYS };
+  let server;
+
+  if (key) process.env.FIELD_ENCRYPTION_KEY = key; else delete process.env.FIELD_ENCRYPTION_KEY;
+  if (oldKeys) process.env.FIELD_ENCRYPTION_OLD_KEYS = oldKeys; else delete process.env.FIELD_ENCRYPTION_OLD_KEYS;
+
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.isolateModules(() => {
+    server = require('../server');
+    server.mongoose = require('mongoose');
+  });
+  console.warn.mockRestore();
+
+  if (saved.key) process.env.FIELD_ENCRYPTION_KEY = saved.key; else delete process.env.FIELD_ENCRYPTION_KEY;
+  if (saved.oldKeys) process.env.FIELD_ENCRYPTION_OLD_KEYS = saved.oldKeys; else delete process.env.FIELD_ENCRYPTION_OLD_KEYS;
+  return server;
+};
+
+const oldServer = loadServer({ key: OLD_KEY });
+const newServer = loadServer({ key: NEW_KEY, oldKeys: OLD_KEY });
+const otherServer = loadServer({ key: OTHER_KEY });
+const plainServer = loadServer();
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('encryptValue and decryptValue', () => {
+  const { encryptValue, decryptValue, isEncrypted } = oldServer;
+
+  test.each([
+    ['plain text', 'Please pray for my mother\'s surgery on Friday'],
+    ['an email address', 'member@example.com'],
+    ['non-ASCII text', 'Àdúrà fún ìdílé mi 🙏'],
+    ['a single character', 'x']
+  ])('round-trips %s', (_, text) => {
+    const value = encryptValue(text);
+
+    expect(isEncrypted(value)).toBe(true);
+    expect(value).toMatch(/^enc:v1:[0-9a-f]{8}:[0-9a-f]{24}:[0-9a-f]{32}:[0-9a-f]+$/);
+    expect(value).not.toContain(text);
+    expect(keyIdOf(value)).toBe(keyId(OLD_KEY));
+    expect(decryptValue(value)).toBe(text);
+  });
+
+  test('uses a fresh IV for every value', () => {
+    expect(encryptValue('same text')).not.toBe(encryptValue('same text'));
+  });
+
+  test.each([
+    ['null', null],
+    ['undefined', undefined],
+    ['an empty string', '']
+  ])('leaves %s alone', (_, value) => {
+    expect(encryptValue(value)).toBe(value);
+  });
+
+  test('doesn\'t encrypt a value twice', () => {
+    const value = encryptValue('secret');
+    expect(encryptValue(value)).toBe(value);
+  });
+
+  test('reads plain text saved before encryption was turned on', () => {
+    expect(decryptValue('an old prayer request')).toBe('an old prayer request');
+  });
+
+  test('stores plain text when no key is configured', () => {
+    expect(plainServer.encryptValue('secret')).toBe('secret');
+  });
+
+  test('leaves the ciphertext in place under a key it doesn\'t have', () => {
+    const value = encryptValue('secret');
+
+    expect(otherServer.decryptValue(value)).toBe(value);
+    expect(plainServer.decryptValue(value)).toBe(value);
+    expect(console.error).toHaveBeenCalledWith(`Field encryption key ${keyId(OLD_KEY)} is not configured`);
+  });
+
+  test('refuses ciphertext that has been tampered with', () => {
+    const value = encryptValue('secret');
+    const last = value.slice(-1);
+    const tampered = value.slice(0, -1) + (last === '0' ? '1' : '0');
+
+    expect(decryptValue(tampered)).toBe(tampered);
+    expect(console.error).toHaveBeenCalledWith('Field decryption error:', expect.any(String));
+  });
+
+  test('reads values under an old key listed in FIELD_ENCRYPTION_OLD_KEYS', () => {
+    const value = encryptValue('secret');
+
+    expect(newServer.decryptValue(value)).toBe('secret');
+    expect(keyIdOf(newServer.encryptValue('secret'))).toBe(keyId(NEW_KEY));
+  });
+});
+
+describe('reencryptSensitiveFields', () => {
+  test('refuses to run without a current key', async () => {
+    await expect(plainServer.reencryptSensitiveFields()).rejects.toThrow('FIELD_ENCRYPTION_KEY must be set');
+  });
+});
+
+describe('with a database', () => {
+  beforeAll(async () => {
+    await database.connect(oldServer.mongoose);
+    await database.connect(newServer.mongoose);
+  });
+  afterAll(database.disconnect);
+  afterEach(() => database.clearDatabase(oldServer.mongoose));
+
+  const models = (server) => ({
+    PrayerRequest: server.mongoose.model('PrayerRequest'),
+    ContactMessage: server.mongoose.model('ContactMessage'),
+    User: server.mongoose.model('User')
+  });
+
+  const raw = (server, collection) => server.mongoose.connection.collection(collection).findOne();
+
+  test('stores ciphertext and hands routes plain text', async () => {
+    const { PrayerRequest } = models(oldServer);
+
+    const saved = await PrayerRequest.create({ name: 'Member', email: 'member@example.com', prayerRequest: 'Healing for my father' });
+    expect(saved.prayerRequest).toBe('Healing for my father');
+
+    const stored = await raw(oldServer, 'prayerrequests');
+    expect(isEncryptedWith(stored.prayerRequest, OLD_KEY)).toBe(true);
+    expect(isEncryptedWith(stored.email, OLD_KEY)).toBe(true);
+
+    const loaded = await PrayerRequest.findById(saved._id);
+    expect(loaded.prayerRequest).toBe('Healing for my father');
+    expect(loaded.email).toBe('member@example.com');
+    expect(loaded.isModified()).toBe(false);
+
+    const lean = await PrayerRequest.findById(saved._id).lean();
+    expect(lean.prayerRequest).toBe(stored.prayerRequest);
+  });
+
+  test('re-encrypts every collection under the new key', async () => {
+    const before = models(oldServer);
+    await before.PrayerRequest.create({ name: 'Member', email: 'member@example.com', prayerRequest: 'Healing for my father' });
+    await before.ContactMessage.create({
+      name: 'Visitor',
+      email: 'visitor@example.com',
+      subject: 'Service times',
+      message: 'When does Sunday school start?',
+      replies: [{ subject: 'Re: Service times', message: 'At 9:00 AM' }]
+    });
+    await before.User.create({ name: 'Pastor', email: 'pastor@example.com', password: 'not-a-real-hash', role: 'pastor', twoFactorSecret: 'JBSWY3DPEHPK3PXP' });
+    // Saved before encryption was turned on
+    await oldServer.mongoose.connection.collection('prayerrequests').insertOne({ name: 'Early member', prayerRequest: 'An old request', isPrivate: true });
+
+    const summary = await newServer.reencryptSensitiveFields();
+
+    expect(summary.PrayerRequest).toEqual({ updated: 2, failed: 0 });
+    expect(summary.ContactMessage).toEqual({ updated: 1, failed: 0 });
+    expect(summary.User).toEqual({ updated: 1, failed: 0 });
+
+    const prayers = await newServer.mongoose.connection.collection('prayerrequests').find().toArray();
+    prayers.forEach(prayer => expect(isEncryptedWith(prayer.prayerRequest, NEW_KEY)).toBe(true));
+    const contact = await raw(newServer, 'contactmessages');
+    expect(isEncryptedWith(contact.message, NEW_KEY)).toBe(true);
+    expect(isEncryptedWith(contact.replies[0].message, NEW_KEY)).toBe(true);
+    expect(isEncryptedWith((await raw(newServer, 'users')).twoFactorSecret, NEW_KEY)).toBe(true);
+
+    const after = models(newServer);
+    expect((await after.PrayerRequest.find().sort({ name: 1 })).map(prayer => prayer.prayerRequest))
+      .toEqual(['An old request', 'Healing for my father']);
+    expect((await after.ContactMessage.findOne()).replies[0].message).toBe('At 9:00 AM');
+    expect((await after.User.findOne()).twoFactorSecret).toBe('JBSWY3DPEHPK3PXP');
+
+    // A second run has nothing left to do
+    expect((await newServer.reencryptSensitiveFields()).PrayerRequest).toEqual({ updated: 0, failed: 0 });
+  });
+
+  test('reports documents under a key it doesn\'t have and leaves them alone', async () => {
+    const value = otherServer.encryptValue('Encrypted elsewhere');
+    await newServer.mongoose.connection.collection('prayerrequests').insertOne({ name: 'Member', prayerRequest: value });
+
+    const summary = await newServer.reencryptSensitiveFields();
+
+    expect(summary.PrayerRequest).toEqual({ updated: 0, failed: 1 });
+    expect((await raw(newServer, 'prayerrequests')).prayerRequest).toBe(value);
+  });
+});
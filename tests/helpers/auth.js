@@ -0,0 +1,24 @@
+// Sign a user in through the real login route, for supertest requests that
+// need a bearer token
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const PASSWORD = 'correct horse battery';
+
+const createUser = async (fields = {}) => mongoose.model('User').create({
+  name: 'Church Staff',
+  email: 'staff@example.com',
+  role: 'staff',
+  ...fields,
+  password: await bcrypt.hash(fields.password || PASSWORD, 10)
+});
+
+const signIn = async (app, user, password = PASSWORD) => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password });
+  return res.body.token;
+};
+
+module.exports = { PASSWORD, createUser, signIn };
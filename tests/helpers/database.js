@@ -0,0 +1,29 @@
+// In-memory MongoDB for tests that need a database. The app doesn't connect
+// by itself under jest, so each test file connects here and cleans up after.
+// Pass the mongoose instance when a test loads its own copy of the app with
+// jest.isolateModules; every instance shares the one database.
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongo;
+const connected = [];
+
+const connect = async (instance = mongoose) => {
+  if (!mongo) mongo = await MongoMemoryServer.create();
+  await instance.connect(mongo.getUri('nrbc_test'));
+  connected.push(instance);
+  // Unique indexes back some of the concurrency guarantees under test
+  await Promise.all(instance.modelNames().map(name => instance.model(name).init()));
+};
+
+const disconnect = async () => {
+  await Promise.all(connected.splice(0).map(instance => instance.disconnect()));
+  if (mongo) await mongo.stop();
+  mongo = undefined;
+};
+
+const clearDatabase = (instance = mongoose) => Promise.all(
+  Object.values(instance.connection.collections).map(collection => collection.deleteMany({}))
+);
+
+module.exports = { connect, disconnect, clearDatabase };
@@ -0,0 +1,263 @@
+// iCalendar output: event times, recurring series and their exceptions
+const mongoose = require('mongoose');
+const request = require('supertest');
+const database = require('./helpers/database');
+
+process.env.JWT_SECRET = 'test-secret';
+const app = require('../server');
+const { parseEventTime, getEventTimes, buildICalendar } = app;
+
+const Event = mongoose.model('Event');
+
+jest.setTimeout(60000);
+
+// Unfold the calendar and split it into its VEVENT components
+const unfold = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+const vevents = (calendar) => {
+  const events = [];
+  let current;
+  unfold(calendar).forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = [];
+    } else if (line === 'END:VEVENT') {
+      events.push(current);
+      current = null;
+    } else if (current) {
+      current.push(line);
+    }
+  });
+  return events;
+};
+
+const eventFields = (fields) => ({
+  title: 'Sunday Worship Service',
+  description: 'Weekly worship',
+  date: new Date('2025-03-02T00:00:00Z'),
+  time: '8:00 AM - 10:30 AM',
+  location: 'Main Sanctuary',
+  category: 'service',
+  status: 'scheduled',
+  ...fields
+});
+
+const event = (fields) => ({ _id: '65f0c0ffee0000000000abcd', ...eventFields(fields) });
+
+const clock = (time) => time && `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
+
+describe('parseEventTime', () => {
+  test.each([
+    ['9:00 AM', '09:00', null],
+    ['6.30pm', '18:30', null],
+    ['18:30', '18:30', null],
+    ['12 AM', '00:00', null],
+    ['12 PM', '12:00', null],
+    ['9 - 11 AM', '09:00', '11:00'],
+    ['6:30 PM to 9 PM', '18:30', '21:00'],
+    ['7–9pm', '19:00', '21:00'],
+    ['11 - 1 PM', '11:00', '13:00'],
+    ['10 - 12 PM', '10:00', '12:00'],
+    ['10 PM - 2 AM', '22:00', '02:00']
+  ])('reads %s', (time, start, end) => {
+    const parsed = parseEventTime(time);
+    expect(clock(parsed.start)).toBe(start);
+    expect(clock(parsed.end)).toBe(end);
+  });
+
+  test.each([
+    ['nothing', ''],
+    ['free text', 'After the service'],
+    ['an hour past 23', '25:00'],
+    ['an hour past 12 with AM/PM', '13 PM'],
+    ['minutes past 59', '9:75 AM']
+  ])('returns null for %s', (_, time) => {
+    expect(parseEventTime(time)).toBeNull();
+  });
+});
+
+describe('getEventTimes', () => {
+  test('places the time on the stored day in the church\'s timezone', () => {
+    const { start, end, allDay } = getEventTimes(new Date('2025-03-02T00:00:00Z'), '8:00 AM');
+
+    expect(allDay).toBe(false);
+    expect(start.toISOString()).toBe('2025-03-02T07:00:00.000Z');
+    // Two hours when no end time is given
+    expect(end.toISOString()).toBe('2025-03-02T09:00:00.000Z');
+  });
+
+  test('carries an end before the start over to the next day', () => {
+    const { start, end } = getEventTimes(new Date('2025-12-31T00:00:00Z'), '10 PM - 2 AM');
+
+    expect(start.format('YYYY-MM-DD HH:mm')).toBe('2025-12-31 22:00');
+    expect(end.format('YYYY-MM-DD HH:mm')).toBe('2026-01-01 02:00');
+  });
+
+  test('treats an unreadable time as all day', () => {
+    const { start, end, allDay } = getEventTimes(new Date('2025-06-01T00:00:00Z'), 'TBA');
+
+    expect(allDay).toBe(true);
+    expect(start.format('YYYY-MM-DD HH:mm')).toBe('2025-06-01 00:00');
+    expect(end.format('YYYY-MM-DD HH:mm')).toBe('2025-06-02 00:00');
+  });
+});
+
+describe('buildICalendar', () => {
+  test('describes the church\'s timezone once', () => {
+    const lines = unfold(buildICalendar([event(), event({ _id: '65f0c0ffee0000000000abce' })], 'NRBC'));
+    const start = lines.indexOf('BEGIN:VTIMEZONE');
+
+    expect(lines.filter(line => line === 'BEGIN:VTIMEZONE')).toHaveLength(1);
+    expect(lines.slice(start, lines.indexOf('END:VTIMEZONE') + 1)).toEqual([
+      'BEGIN:VTIMEZONE',
+      'TZID:Africa/Lagos',
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0100',
+      'TZNAME:WAT',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ]);
+    expect(lines).toContain('X-WR-TIMEZONE:Africa/Lagos');
+  });
+
+  test('gives timed events local start and end times', () => {
+    const [vevent] = vevents(buildICalendar([event()], 'NRBC'));
+
+    expect(vevent).toEqual(expect.arrayContaining([
+      'UID:65f0c0ffee0000000000abcd@nrbcarepo.org',
+      'DTSTART;TZID=Africa/Lagos:20250302T080000',
+      'DTEND;TZID=Africa/Lagos:20250302T103000',
+      'SUMMARY:Sunday Worship Service',
+      'STATUS:CONFIRMED'
+    ]));
+    expect(vevent.some(line => line.startsWith('RRULE:'))).toBe(false);
+  });
+
+  test('gives all-day events date values', () => {
+    const [vevent] = vevents(buildICalendar([event({ date: new Date('2025-06-01T00:00:00Z'), time: 'All day' })], 'NRBC'));
+
+    expect(vevent).toEqual(expect.arrayContaining(['DTSTART;VALUE=DATE:20250601', 'DTEND;VALUE=DATE:20250602']));
+  });
+
+  test('repeats a series with an RRULE ending on its last day', () => {
+    const [vevent] = vevents(buildICalendar([event({
+      isRecurring: true,
+      recurringType: 'weekly',
+      recurrenceEnd: new Date('2025-06-29T00:00:00Z')
+    })], 'NRBC'));
+
+    expect(vevent).toContain('RRULE:FREQ=WEEKLY;UNTIL=20250629T225959Z');
+  });
+
+  test('leaves out cancelled occurrences with EXDATE', () => {
+    const [vevent, ...rest] = vevents(buildICalendar([event({
+      isRecurring: true,
+      recurringType: 'weekly',
+      occurrenceOverrides: [
+        { occurrenceDate: '2025-03-16', isCancelled: true },
+        { occurrenceDate: '2025-03-23', isCancelled: true }
+      ]
+    })], 'NRBC'));
+
+    expect(vevent.filter(line => line.startsWith('EXDATE'))).toEqual([
+      'EXDATE;TZID=Africa/Lagos:20250316T080000',
+      'EXDATE;TZID=Africa/Lagos:20250323T080000'
+    ]);
+    expect(rest).toEqual([]);
+  });
+
+  test('uses date EXDATEs for all-day series', () => {
+    const [vevent] = vevents(buildICalendar([event({
+      time: '',
+      isRecurring: true,
+      recurringType: 'monthly',
+      occurrenceOverrides: [{ occurrenceDate: '2025-05-02', isCancelled: true }]
+    })], 'NRBC'));
+
+    expect(vevent).toContain('EXDATE;VALUE=DATE:20250502');
+  });
+
+  test('publishes a moved occurrence as its own VEVENT with a RECURRENCE-ID', () => {
+    const [series, moved] = vevents(buildICalendar([event({
+      isRecurring: true,
+      recurringType: 'weekly',
+      occurrenceOverrides: [{
+        occurrenceDate: '2025-03-09',
+        date: new Date('2025-03-08T00:00:00Z'),
+        time: '5 PM',
+        location: 'Fellowship Hall',
+        note: 'Moved for the youth rally'
+      }]
+    })], 'NRBC'));
+
+    expect(series.some(line => line.startsWith('EXDATE'))).toBe(false);
+    expect(moved).toEqual(expect.arrayContaining([
+      'UID:65f0c0ffee0000000000abcd@nrbcarepo.org',
+      'DTSTART;TZID=Africa/Lagos:20250308T170000',
+      'DTEND;TZID=Africa/Lagos:20250308T190000',
+      'LOCATION:Fellowship Hall',
+      'DESCRIPTION:Weekly worship\\n\\nMoved for the youth rally',
+      'RECURRENCE-ID;TZID=Africa/Lagos:20250309T080000'
+    ]));
+  });
+
+  test('marks cancelled events', () => {
+    const [vevent] = vevents(buildICalendar([event({ status: 'cancelled' })], 'NRBC'));
+
+    expect(vevent).toContain('STATUS:CANCELLED');
+  });
+
+  test('escapes text and folds long lines', () => {
+    const description = 'Bring a friend, a Bible; and a notebook.\nEveryone is welcome to the fellowship lunch afterwards in the church hall.';
+    const calendar = buildICalendar([event({ title: 'Praise, Prayer; Worship', description })], 'NRBC');
+
+    calendar.split('\r\n').forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+
+    const [vevent] = vevents(calendar);
+    expect(vevent).toContain('SUMMARY:Praise\\, Prayer\\; Worship');
+    expect(vevent).toContain(`DESCRIPTION:${description.replace(/,/g, '\\,').replace(/;/g, '\\;').replace('\n', '\\n')}`);
+  });
+});
+
+describe('calendar routes', () => {
+  beforeAll(database.connect);
+  afterAll(database.disconnect);
+  afterEach(database.clearDatabase);
+
+  test('downloads a single event as .ics', async () => {
+    const saved = await Event.create({
+      ...eventFields({ date: new Date('2030-03-03T00:00:00Z'), isRecurring: true, recurringType: 'weekly' }),
+      createdBy: new mongoose.Types.ObjectId(),
+      occurrenceOverrides: [{ occurrenceDate: '2030-03-10', isCancelled: true }]
+    });
+
+    const res = await request(app).get(`/api/events/${saved._id}.ics`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/calendar; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe(`attachment; filename="event-${saved._id}.ics"`);
+
+    const [vevent] = vevents(res.text);
+    expect(vevent).toEqual(expect.arrayContaining([
+      `UID:${saved._id}@nrbcarepo.org`,
+      'RRULE:FREQ=WEEKLY',
+      'EXDATE;TZID=Africa/Lagos:20300310T080000'
+    ]));
+  });
+
+  test('leaves past one-off events out of the feed', async () => {
+    const createdBy = new mongoose.Types.ObjectId();
+    await Event.create([
+      eventFields({ title: 'Harvest Thanksgiving', date: new Date('2030-10-06T00:00:00Z'), createdBy }),
+      eventFields({ title: 'Old Crusade', date: new Date('2020-10-06T00:00:00Z'), createdBy })
+    ]);
+
+    const res = await request(app).get('/api/events/calendar.ics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('inline; filename="nrbc-events.ics"');
+    expect(vevents(res.text).map(lines => lines.find(line => line.startsWith('SUMMARY:')))).toEqual(['SUMMARY:Harvest Thanksgiving']);
+  });
+});
@@ -0,0 +1,133 @@
+// Login throttling: progressive delays and lockouts per account and per IP
+const mongoose = require('mongoose');
+const request = require('supertest');
+const database = require('./helpers/database');
+const { PASSWORD, createUser } = require('./helpers/auth');
+
+process.env.JWT_SECRET = 'test-secret';
+const app = require('../server');
+
+const LoginAttempt = mongoose.model('LoginAttempt');
+const OutboundEmail = mongoose.model('OutboundEmail');
+
+jest.setTimeout(60000);
+
+beforeAll(database.connect);
+afterAll(database.disconnect);
+afterEach(database.clearDatabase);
+
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+// Skip the progressive delay, as if the user had waited it out
+const waitOutDelay = () => LoginAttempt.updateMany({}, { $unset: { nextAttemptAt: 1 } });
+
+// `count` failed attempts, waiting out each delay
+const failLogins = async (email, count) => {
+  const statuses = [];
+  for (let i = 0; i < count; i++) {
+    await waitOutDelay();
+    statuses.push((await login(email, 'wrong password')).status);
+  }
+  return statuses;
+};
+
+const accountAttempt = (email) => LoginAttempt.findOne({ kind: 'account', value: email }).lean();
+
+describe('login throttling', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  test('makes the user wait after three free failures, doubling each time', async () => {
+    for (let i = 0; i < 4; i++) {
+      expect((await login(user.email, 'wrong password')).status).toBe(401);
+    }
+
+    const throttled = await login(user.email, 'wrong password');
+    expect(throttled.status).toBe(429);
+    expect(throttled.headers['retry-after']).toBe('1');
+    expect(throttled.body).toEqual({ error: 'Too many failed sign-in attempts, please try again later', retryAfter: 1 });
+
+    await waitOutDelay();
+    expect((await login(user.email, 'wrong password')).status).toBe(401);
+    expect((await login(user.email, 'wrong password')).headers['retry-after']).toBe('2');
+  });
+
+  test('doesn\'t check the password while the user has to wait', async () => {
+    await failLogins(user.email, 4);
+
+    const res = await login(user.email, PASSWORD);
+
+    expect(res.status).toBe(429);
+    expect(res.body.token).toBeUndefined();
+  });
+
+  test('locks the account at ten failures and emails the owner once', async () => {
+    const statuses = await failLogins(user.email, 10);
+
+    expect(statuses).toEqual(Array(10).fill(401));
+    const attempt = await accountAttempt(user.email);
+    expect(attempt.lockedUntil.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+    expect(attempt.lockCount).toBe(1);
+    expect(await OutboundEmail.countDocuments({ template: 'account-locked', to: user.email })).toBe(1);
+
+    await waitOutDelay();
+    const res = await login(user.email, PASSWORD);
+    expect(res.status).toBe(429);
+    expect(res.body.retryAfter).toBeGreaterThan(14 * 60);
+  });
+
+  test('lets only the free attempts through a burst of parallel requests', async () => {
+    // Ten stays within the IP's free attempts, so only the account limit applies
+    const responses = await Promise.all(Array.from({ length: 10 }, () => login(user.email, 'wrong password')));
+
+    expect(responses.filter(res => res.status === 401)).toHaveLength(4);
+    expect(responses.filter(res => res.status === 429)).toHaveLength(6);
+    expect((await accountAttempt(user.email)).failures).toBe(4);
+  });
+
+  test('counts failures against unknown emails the same way', async () => {
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+      const res = await login('nobody@example.com', 'wrong password');
+      statuses.push(res.status);
+      if (res.status === 401) expect(res.body).toEqual({ error: 'Invalid credentials' });
+    }
+
+    expect(statuses).toEqual([401, 401, 401, 401, 429]);
+    expect((await accountAttempt('nobody@example.com')).failures).toBe(4);
+  });
+
+  test('treats a deactivated account like an unknown one', async () => {
+    const inactive = await createUser({ email: 'left@example.com', isActive: false });
+
+    const res = await login(inactive.email, PASSWORD);
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid credentials' });
+    expect((await accountAttempt(inactive.email)).failures).toBe(1);
+  });
+
+  test('clears the account\'s failures and gives back the IP\'s attempt on success', async () => {
+    await failLogins(user.email, 2);
+
+    const res = await login(user.email, PASSWORD);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeTruthy();
+    expect(await accountAttempt(user.email)).toBeNull();
+    expect((await LoginAttempt.findOne({ kind: 'ip' }).lean()).failures).toBe(2);
+  });
+
+  test('throttles an IP that tries many accounts', async () => {
+    for (let i = 0; i < 11; i++) {
+      expect((await login(`member${i}@example.com`, 'wrong password')).status).toBe(401);
+    }
+
+    const res = await login(user.email, PASSWORD);
+
+    expect(res.status).toBe(429);
+  });
+});
@@ -0,0 +1,265 @@
+// Recurring event expansion and per-occurrence overrides
+const mongoose = require('mongoose');
+const request = require('supertest');
+const database = require('./helpers/database');
+const { createUser, signIn } = require('./helpers/auth');
+
+process.env.JWT_SECRET = 'test-secret';
+const app = require('../server');
+const { getSeriesDates, findSeriesDate, expandOccurrences } = app;
+
+const Event = mongoose.model('Event');
+
+jest.setTimeout(60000);
+
+const series = (fields) => new Event({
+  title: 'Sunday Worship Service',
+  description: 'Weekly worship',
+  time: '8:00 AM',
+  category: 'service',
+  createdBy: new mongoose.Types.ObjectId(),
+  isRecurring: true,
+  ...fields
+});
+
+const keys = (dates) => dates.map(date => date.toISOString().slice(0, 10));
+
+describe('getSeriesDates', () => {
+  test('weekly series yields every week within the window', () => {
+    const event = series({ date: new Date('2025-01-05T07:00:00Z'), recurringType: 'weekly' });
+
+    const dates = getSeriesDates(event, new Date('2025-02-01T00:00:00Z'), new Date('2025-03-01T00:00:00Z'));
+
+    expect(keys(dates)).toEqual(['2025-02-02', '2025-02-09', '2025-02-16', '2025-02-23']);
+    expect(dates.every(date => date.getUTCHours() === 7)).toBe(true);
+  });
+
+  test('weekly series stops at recurrenceEnd', () => {
+    const event = series({
+      date: new Date('2025-01-05T07:00:00Z'),
+      recurringType: 'weekly',
+      recurrenceEnd: new Date('2025-01-19T23:59:59Z')
+    });
+
+    const dates = getSeriesDates(event, new Date('2025-01-01T00:00:00Z'), new Date('2025-03-01T00:00:00Z'));
+
+    expect(keys(dates)).toEqual(['2025-01-05', '2025-01-12', '2025-01-19']);
+  });
+
+  test('monthly series on the 31st skips months without one', () => {
+    const event = series({ date: new Date('2025-01-31T17:00:00Z'), recurringType: 'monthly' });
+
+    const dates = getSeriesDates(event, new Date('2025-01-01T00:00:00Z'), new Date('2025-12-31T23:59:59Z'));
+
+    expect(keys(dates)).toEqual([
+      '2025-01-31', '2025-03-31', '2025-05-31', '2025-07-31',
+      '2025-08-31', '2025-10-31', '2025-12-31'
+    ]);
+  });
+
+  test('weekly series keeps its time across a daylight saving change', () => {
+    // Europe and North America move their clocks in March; the series is
+    // kept in UTC (the church's own zone has no DST) so nothing shifts
+    const event = series({ date: new Date('2025-03-02T07:00:00Z'), recurringType: 'weekly' });
+
+    const dates = getSeriesDates(event, new Date('2025-03-01T00:00:00Z'), new Date('2025-04-07T00:00:00Z'));
+
+    expect(keys(dates)).toEqual(['2025-03-02', '2025-03-09', '2025-03-16', '2025-03-23', '2025-03-30', '2025-04-06']);
+    expect(dates.map(date => date.toISOString().slice(11))).toEqual(Array(6).fill('07:00:00.000Z'));
+  });
+
+  test('one-off event appears only when it falls within the window', () => {
+    const event = series({ date: new Date('2025-06-01T09:00:00Z'), isRecurring: false });
+
+    expect(getSeriesDates(event, new Date('2025-05-01'), new Date('2025-07-01'))).toHaveLength(1);
+    expect(getSeriesDates(event, new Date('2025-07-01'), new Date('2025-08-01'))).toEqual([]);
+  });
+});
+
+describe('findSeriesDate', () => {
+  const weekly = series({ date: new Date('2025-01-05T07:00:00Z'), recurringType: 'weekly' });
+  const monthly = series({ date: new Date('2025-01-31T17:00:00Z'), recurringType: 'monthly' });
+
+  test.each([
+    ['a weekly occurrence', weekly, '2025-03-30', '2025-03-30T07:00:00.000Z'],
+    ['the first occurrence', weekly, '2025-01-05', '2025-01-05T07:00:00.000Z'],
+    ['a monthly occurrence on the 31st', monthly, '2025-08-31', '2025-08-31T17:00:00.000Z']
+  ])('resolves %s', (_, event, key, expected) => {
+    expect(findSeriesDate(event, key).toISOString()).toBe(expected);
+  });
+
+  test.each([
+    ['a day off the weekly pattern', weekly, '2025-03-31'],
+    ['a day before the series starts', weekly, '2024-12-29'],
+    ['a month the 31st skips', monthly, '2025-04-30'],
+    ['a malformed key', weekly, '2025-3-30'],
+    ['an impossible date', monthly, '2025-02-31']
+  ])('returns null for %s', (_, event, key) => {
+    expect(findSeriesDate(event, key)).toBeNull();
+  });
+});
+
+describe('expandOccurrences', () => {
+  const from = new Date('2025-03-01T00:00:00Z');
+  const to = new Date('2025-03-31T23:59:59Z');
+
+  test('gives each occurrence its own id and key', () => {
+    const event = series({ date: new Date('2025-03-02T07:00:00Z'), recurringType: 'weekly' });
+
+    const occurrences = expandOccurrences([event], from, to);
+
+    expect(occurrences.map(o => o.occurrenceDate)).toEqual(['2025-03-02', '2025-03-09', '2025-03-16', '2025-03-23', '2025-03-30']);
+    expect(occurrences[0].occurrenceId).toBe(`${event._id}_2025-03-02`);
+    expect(occurrences.every(o => !o.isOverridden && !o.isCancelled)).toBe(true);
+  });
+
+  test('leaves out cancelled occurrences unless asked for them', () => {
+    const event = series({
+      date: new Date('2025-03-02T07:00:00Z'),
+      recurringType: 'weekly',
+      occurrenceOverrides: [{ occurrenceDate: '2025-03-16', isCancelled: true }]
+    });
+
+    expect(expandOccurrences([event], from, to).map(o => o.occurrenceDate))
+      .toEqual(['2025-03-02', '2025-03-09', '2025-03-23', '2025-03-30']);
+
+    const cancelled = expandOccurrences([event], from, to, { includeCancelled: true })
+      .find(o => o.occurrenceDate === '2025-03-16');
+    expect(cancelled).toMatchObject({ isCancelled: true, isOverridden: true });
+  });
+
+  test('applies a moved occurrence\'s new date, time and location', () => {
+    const event = series({
+      date: new Date('2025-03-02T07:00:00Z'),
+      recurringType: 'weekly',
+      location: 'Main Sanctuary',
+      occurrenceOverrides: [{
+        occurrenceDate: '2025-03-09',
+        date: new Date('2025-03-08T16:00:00Z'),
+        time: '5:00 PM',
+        location: 'Fellowship Hall'
+      }]
+    });
+
+    const moved = expandOccurrences([event], from, to).find(o => o.occurrenceDate === '2025-03-09');
+
+    expect(moved.date.toISOString()).toBe('2025-03-08T16:00:00.000Z');
+    expect(moved).toMatchObject({ time: '5:00 PM', location: 'Fellowship Hall', isOverridden: true });
+  });
+
+  test('follows occurrences moved into or out of the window', () => {
+    const event = series({
+      date: new Date('2025-02-23T07:00:00Z'),
+      recurringType: 'weekly',
+      occurrenceOverrides: [
+        // From just before the window into it
+        { occurrenceDate: '2025-02-23', date: new Date('2025-03-01T07:00:00Z') },
+        // From inside the window to just after it
+        { occurrenceDate: '2025-03-30', date: new Date('2025-04-01T07:00:00Z') }
+      ]
+    });
+
+    const occurrences = expandOccurrences([event], from, to);
+
+    expect(occurrences.map(o => o.occurrenceDate)).toEqual(['2025-02-23', '2025-03-02', '2025-03-09', '2025-03-16', '2025-03-23']);
+    expect(occurrences[0].date.toISOString()).toBe('2025-03-01T07:00:00.000Z');
+  });
+
+  test('sorts occurrences from several events by date', () => {
+    const sunday = series({ date: new Date('2025-03-02T07:00:00Z'), recurringType: 'weekly' });
+    const wednesday = series({ date: new Date('2025-03-05T17:00:00Z'), recurringType: 'weekly', title: 'Bible Study' });
+
+    const dates = expandOccurrences([sunday, wednesday], from, new Date('2025-03-12T23:59:59Z')).map(o => o.date.getTime());
+
+    expect(dates).toEqual([...dates].sort((a, b) => a - b));
+    expect(dates).toHaveLength(4);
+  });
+});
+
+describe('occurrence override routes', () => {
+  let token;
+  let event;
+
+  beforeAll(async () => {
+    await database.connect();
+    token = await signIn(app, await createUser());
+  });
+  afterAll(database.disconnect);
+
+  beforeEach(async () => {
+    await Event.deleteMany({});
+    event = await series({ date: new Date('2030-03-03T07:00:00Z'), recurringType: 'weekly' }).save();
+  });
+
+  const occurrencePath = (key, suffix = '') => `/api/events/${event._id}/occurrences/${key}${suffix}`;
+
+  test('moves a single occurrence', async () => {
+    const res = await request(app)
+      .patch(occurrencePath('2030-03-10'))
+      .set('Authorization', `Bearer ${token}`)
+      .send({ date: '2030-03-09T16:00:00Z', time: '5:00 PM', location: 'Fellowship Hall' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      occurrenceDate: '2030-03-10',
+      date: '2030-03-09T16:00:00.000Z',
+      time: '5:00 PM',
+      location: 'Fellowship Hall',
+      isOverridden: true
+    });
+
+    const saved = await Event.findById(event._id);
+    expect(saved.occurrenceOverrides).toHaveLength(1);
+    expect(saved.occurrenceOverrides[0].occurrenceDate).toBe('2030-03-10');
+  });
+
+  test('cancels a single occurrence and leaves the rest of the series alone', async () => {
+    const res = await request(app)
+      .delete(occurrencePath('2030-03-17'))
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ occurrenceDate: '2030-03-17', isCancelled: true });
+
+    const list = await request(app)
+      .get(`/api/events/${event._id}/occurrences`)
+      .query({ from: '2030-03-01', to: '2030-03-31' });
+
+    expect(list.status).toBe(200);
+    expect(list.body.map(o => o.occurrenceDate)).toEqual(['2030-03-03', '2030-03-10', '2030-03-24', '2030-03-31']);
+  });
+
+  test('restores an overridden occurrence to the series defaults', async () => {
+    await request(app)
+      .delete(occurrencePath('2030-03-17'))
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .delete(occurrencePath('2030-03-17', '/override'))
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ isCancelled: false, isOverridden: false });
+    expect((await Event.findById(event._id)).occurrenceOverrides).toHaveLength(0);
+  });
+
+  test.each([
+    ['a day the series skips', '2030-03-11'],
+    ['a malformed date', 'next-sunday']
+  ])('refuses %s', async (_, key) => {
+    const res = await request(app)
+      .patch(occurrencePath(key))
+      .set('Authorization', `Bearer ${token}`)
+      .send({ isCancelled: true });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Occurrence not found');
+  });
+
+  test('needs a signed-in user', async () => {
+    const res = await request(app).delete(occurrencePath('2030-03-17'));
+
+    expect(res.status).toBe(401);
+    expect((await Event.findById(event._id)).occurrenceOverrides).toHaveLength(0);
+  });
+});
@@ -0,0 +1,102 @@
+// Scripture reference parsing used to validate and index sermons
+process.env.JWT_SECRET = 'test-secret';
+const { parseScripture } = require('../server');
+
+const texts = (value) => {
+  const { refs, error } = parseScripture(value);
+  return error ? error : refs.map(ref => ref.text);
+};
+
+describe('parseScripture', () => {
+  test.each([
+    ['Matthew 6:9-13', ['Matthew 6:9-13']],
+    ['Matt 5:3', ['Matthew 5:3']],
+    ['Mt 5:3', ['Matthew 5:3']],
+    ['Rom. 8:28', ['Romans 8:28']],
+    ['Ps 23', ['Psalms 23']],
+    ['Psalm 119:105', ['Psalms 119:105']],
+    ['Song 2:1', ['Song of Solomon 2:1']],
+    ['Phil 4:13', ['Philippians 4:13']],
+    ['Jn 3:16', ['John 3:16']],
+    ['Romans', ['Romans']]
+  ])('reads book names and aliases: %s', (value, expected) => {
+    expect(texts(value)).toEqual(expected);
+  });
+
+  test.each([
+    ['1 Cor 13', ['1 Corinthians 13']],
+    ['1Jn 4:8', ['1 John 4:8']],
+    ['I John 1:9', ['1 John 1:9']],
+    ['First John 1:9', ['1 John 1:9']],
+    ['2nd Timothy 3:16', ['2 Timothy 3:16']],
+    ['III John 4', ['3 John 1:4']]
+  ])('reads numbered books: %s', (value, expected) => {
+    expect(texts(value)).toEqual(expected);
+  });
+
+  test.each([
+    ['John 3:16-4:2', ['John 3:16-4:2']],
+    ['Genesis 1-2', ['Genesis 1-2']],
+    ['Jn 3:16, 18, 4:1', ['John 3:16', 'John 3:18', 'John 4:1']]
+  ])('reads ranges across chapters and verse lists: %s', (value, expected) => {
+    expect(texts(value)).toEqual(expected);
+  });
+
+  test.each([
+    ['Jude 3', ['Jude 1:3']],
+    ['Jude 3-5', ['Jude 1:3-5']],
+    ['Obadiah 1:4', ['Obadiah 1:4']],
+    ['Philemon 6', ['Philemon 1:6']]
+  ])('reads a bare number in a single-chapter book as a verse: %s', (value, expected) => {
+    expect(texts(value)).toEqual(expected);
+  });
+
+  test.each([
+    ['Rom. 5:1-11; 8:28', ['Romans 5:1-11', 'Romans 8:28']],
+    ['Psalm 23; John 10:11', ['Psalms 23', 'John 10:11']],
+    ['Isaiah 53; ; Mark 15', ['Isaiah 53', 'Mark 15']]
+  ])('reads ;-separated lists, reusing the previous book: %s', (value, expected) => {
+    expect(texts(value)).toEqual(expected);
+  });
+
+  test.each([
+    ['John 3:16.', ['John 3:16']],
+    ['John 3:16,', ['John 3:16']],
+    ['John 3:16;', ['John 3:16']]
+  ])('ignores trailing punctuation: %s', (value, expected) => {
+    expect(texts(value)).toEqual(expected);
+  });
+
+  test.each([
+    'Genesis 51',
+    'John 22',
+    'Psalm 119:177',
+    'Genesis 1:0',
+    'Matt 5:10-3',
+    'John 4-3',
+    'Jude 2:1'
+  ])('rejects chapters and verses out of range: %s', (value) => {
+    expect(parseScripture(value).error).toMatch(/Could not parse/);
+  });
+
+  test.each([
+    '3:16',
+    'Jo 3:16',
+    'Hezekiah 1:1'
+  ])('rejects unknown or ambiguous books: %s', (value) => {
+    expect(parseScripture(value).error).toMatch(/Could not parse/);
+  });
+
+  test('treats empty input as no references', () => {
+    expect(parseScripture('')).toEqual({ refs: [] });
+    expect(parseScripture('   ')).toEqual({ refs: [] });
+  });
+
+  test('gives passages sortable start and end keys', () => {
+    const [whole, passage] = parseScripture('Romans; Romans 8:28-39').refs;
+
+    expect(passage.start).toBeGreaterThan(whole.start);
+    expect(passage.end).toBeLessThan(whole.end);
+    expect(passage).toMatchObject({ book: 'Romans', bookNumber: 45, startChapter: 8, startVerse: 28, endVerse: 39 });
+  });
+});
@@ -0,0 +1,222 @@
+// Spam checks on the public forms and the quarantine review routes
+const mongoose = require('mongoose');
+const request = require('supertest');
+const database = require('./helpers/database');
+const { createUser, signIn } = require('./helpers/auth');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.PRAYER_EMAIL = 'prayer@example.com';
+const app = require('../server');
+const { spamGuard } = app;
+
+const PrayerRequest = mongoose.model('PrayerRequest');
+const OutboundEmail = mongoose.model('OutboundEmail');
+const RolePermission = mongoose.model('RolePermission');
+
+jest.setTimeout(60000);
+
+const fetchFormToken = async () => (await request(app).get('/api/forms/token')).body.formToken;
+
+// Pretend the visitor spent `seconds` filling in the form
+const waitSeconds = (seconds) => {
+  const now = Date.now();
+  return jest.spyOn(Date, 'now').mockReturnValue(now + seconds * 1000);
+};
+
+const reasonsFor = (body, fields = ['name', 'message']) => {
+  const req = { body, method: 'POST', originalUrl: '/api/contact', ip: '203.0.113.7' };
+  spamGuard(fields)(req, {}, () => {});
+  return req.spamReasons;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('spamGuard', () => {
+  let formToken;
+
+  beforeEach(async () => {
+    formToken = await fetchFormToken();
+    waitSeconds(30);
+  });
+
+  test('passes a normal submission', () => {
+    expect(reasonsFor({ name: 'Grace', message: 'What time is the Sunday service?', formToken })).toEqual([]);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['a filled-in honeypot', { website: 'http://example.com' }, 'honeypot'],
+    ['too many links', { message: 'See http://a.example, www.b.example and <a href="c">c</a>' }, 'too-many-links'],
+    ['a spam keyword', { message: 'Great CASINO bonuses inside' }, 'keyword:casino'],
+    ['a spam phrase', { message: 'We offer SEO services for churches' }, 'keyword:seo services']
+  ])('flags %s', (_, fields, reason) => {
+    expect(reasonsFor({ name: 'Visitor', message: 'Hello', formToken, ...fields })).toEqual([reason]);
+    expect(console.warn).toHaveBeenCalledWith(`Suspected spam on POST /api/contact: ${reason}`);
+  });
+
+  test('allows a couple of links', () => {
+    expect(reasonsFor({ name: 'Visitor', message: 'Slides at https://a.example and https://b.example', formToken })).toEqual([]);
+  });
+
+  test('matches keywords as whole words only', () => {
+    expect(reasonsFor({ name: 'Visitor', message: 'Our Casinos Road branch', formToken })).toEqual([]);
+  });
+
+  test('only looks at the fields it is given', () => {
+    expect(reasonsFor({ name: 'Visitor', message: 'Hello', subject: 'viagra', formToken })).toEqual([]);
+    expect(reasonsFor({ name: 'Visitor', message: 'Hello', subject: 'viagra', formToken }, ['subject'])).toEqual(['keyword:viagra']);
+  });
+
+  test('collects every reason that applies', () => {
+    expect(reasonsFor({ name: 'Visitor', message: 'cheap viagra', website: 'spam', formToken: undefined }))
+      .toEqual(['honeypot', 'missing-form-token', 'keyword:viagra']);
+  });
+});
+
+describe('form tokens', () => {
+  test('flags a missing token', () => {
+    expect(reasonsFor({ name: 'Visitor', message: 'Hello' })).toEqual(['missing-form-token']);
+  });
+
+  test('flags a forged token', () => {
+    expect(reasonsFor({ name: 'Visitor', message: 'Hello', formToken: 'not-a-token' })).toEqual(['invalid-form-token']);
+  });
+
+  test('flags a form sent back faster than a person could fill it in', async () => {
+    const formToken = await fetchFormToken();
+    waitSeconds(1);
+
+    expect(reasonsFor({ name: 'Visitor', message: 'Hello', formToken })).toEqual(['submitted-too-fast']);
+  });
+
+  test('tells the frontend what to render', async () => {
+    const res = await request(app).get('/api/forms/token');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ formToken: expect.any(String), honeypotField: 'website', minSubmitSeconds: 3 });
+  });
+});
+
+describe('quarantine', () => {
+  let token;
+
+  beforeAll(async () => {
+    await database.connect();
+    await RolePermission.create({ role: 'staff', permissions: ['review-spam'] });
+    token = await signIn(app, await createUser());
+  });
+  afterAll(database.disconnect);
+
+  beforeEach(async () => {
+    await Promise.all([PrayerRequest.deleteMany({}), OutboundEmail.deleteMany({})]);
+  });
+
+  const submitPrayerRequest = async (fields = {}) => {
+    const formToken = await fetchFormToken();
+    const clock = waitSeconds(30);
+    const res = await request(app)
+      .post('/api/prayer-requests')
+      .send({ name: 'Grace', prayerRequest: 'Pray for my exams', formToken, ...fields });
+    clock.mockRestore();
+    return res;
+  };
+
+  const staffEmails = () => OutboundEmail.countDocuments({ template: 'prayer-request-staff' });
+
+  test('holds suspected spam back from the prayer team', async () => {
+    const res = await submitPrayerRequest({ website: 'http://example.com' });
+
+    expect(res.status).toBe(201);
+    const saved = await PrayerRequest.findById(res.body.id);
+    expect(saved.quarantine.isQuarantined).toBe(true);
+    expect([...saved.quarantine.reasons]).toEqual(['honeypot']);
+    expect(await staffEmails()).toBe(0);
+  });
+
+  test('notifies the prayer team about a clean request straight away', async () => {
+    const res = await submitPrayerRequest();
+
+    expect((await PrayerRequest.findById(res.body.id)).quarantine.isQuarantined).toBe(false);
+    expect(await staffEmails()).toBe(1);
+  });
+
+  test('counts and lists quarantined submissions', async () => {
+    await submitPrayerRequest({ website: 'spam' });
+    await submitPrayerRequest();
+
+    const counts = await request(app).get('/api/quarantine').set('Authorization', `Bearer ${token}`);
+    expect(counts.body).toEqual({ 'prayer-requests': 1, contact: 0, newsletter: 0 });
+
+    const list = await request(app).get('/api/quarantine/prayer-requests').set('Authorization', `Bearer ${token}`);
+    expect(list.body.total).toBe(1);
+    expect(list.body.submissions[0].quarantine.reasons).toEqual(['honeypot']);
+  });
+
+  test('releases a false positive and sends the notification that was held back', async () => {
+    const { body } = await submitPrayerRequest({ website: 'autofilled' });
+
+    const res = await request(app)
+      .post(`/api/quarantine/prayer-requests/${body.id}/release`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const saved = await PrayerRequest.findById(body.id);
+    expect(saved.quarantine.isQuarantined).toBe(false);
+    expect(saved.quarantine.releasedAt).toBeInstanceOf(Date);
+    expect(await staffEmails()).toBe(1);
+
+    const again = await request(app)
+      .post(`/api/quarantine/prayer-requests/${body.id}/release`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(again.status).toBe(404);
+    expect(await staffEmails()).toBe(1);
+  });
+
+  test('deletes confirmed spam', async () => {
+    const { body } = await submitPrayerRequest({ website: 'spam' });
+
+    const res = await request(app)
+      .delete(`/api/quarantine/prayer-requests/${body.id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(await PrayerRequest.countDocuments()).toBe(0);
+  });
+
+  test('won\'t release or delete a submission that isn\'t quarantined', async () => {
+    const { body } = await submitPrayerRequest();
+
+    const release = await request(app)
+      .post(`/api/quarantine/prayer-requests/${body.id}/release`)
+      .set('Authorization', `Bearer ${token}`);
+    const remove = await request(app)
+      .delete(`/api/quarantine/prayer-requests/${body.id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(release.status).toBe(404);
+    expect(remove.status).toBe(404);
+    expect(await PrayerRequest.countDocuments()).toBe(1);
+  });
+
+  test('rejects an unknown submission type', async () => {
+    const res = await request(app).get('/api/quarantine/comments').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Unknown submission type');
+  });
+
+  test('needs the review-spam permission', async () => {
+    await RolePermission.updateOne({ role: 'staff' }, { permissions: ['read-contact'] });
+
+    const res = await request(app).get('/api/quarantine').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.permission).toBe('review-spam');
+  });
+});
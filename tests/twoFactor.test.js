@@ -0,0 +1,193 @@
+// Two-factor authentication: TOTP codes, recovery codes and the sign-in gate
+const mongoose = require('mongoose');
+const request = require('supertest');
+const database = require('./helpers/database');
+const { PASSWORD, createUser, signIn } = require('./helpers/auth');
+
+process.env.JWT_SECRET = 'test-secret';
+const app = require('../server');
+const { base32Encode, base32Decode, totpCode, matchTotpStep, generateRecoveryCodes, verifySecondFactor } = app;
+
+const User = mongoose.model('User');
+
+jest.setTimeout(60000);
+
+// RFC 6238 appendix B uses this ASCII secret for its SHA-1 vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describe('TOTP', () => {
+  test('base32 round-trips the secret', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+  });
+
+  // The RFC lists 8-digit codes; 6-digit codes are their last six digits
+  test.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ])('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+    expect(totpCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code.slice(-6));
+  });
+
+  test('accepts codes from one step either side of now', () => {
+    const now = 1111111111 * 1000;
+    const step = Math.floor(1111111111 / 30);
+
+    expect(matchTotpStep(RFC_SECRET, '050471', now)).toBe(step);
+    expect(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+    expect(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step + 1), now)).toBe(step + 1);
+  });
+
+  test('rejects codes from further away', () => {
+    const now = 1111111111 * 1000;
+    const step = Math.floor(1111111111 / 30);
+
+    expect(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step - 2), now)).toBeNull();
+    expect(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step + 2), now)).toBeNull();
+  });
+});
+
+describe('generateRecoveryCodes', () => {
+  test('gives distinct readable codes and keeps only their hashes', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    hashes.forEach((hash, i) => expect(hash).not.toContain(codes[i].replace('-', '')));
+  });
+});
+
+describe('with a database', () => {
+  beforeAll(database.connect);
+  afterAll(database.disconnect);
+  afterEach(database.clearDatabase);
+
+  const createTwoFactorUser = async (fields = {}) => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const user = await createUser({
+      email: 'pastor@example.com',
+      role: 'pastor',
+      twoFactorEnabled: true,
+      twoFactorSecret: RFC_SECRET,
+      twoFactorEnabledAt: new Date(),
+      recoveryCodes: hashes,
+      ...fields
+    });
+    return { user, codes };
+  };
+
+  const signInWithCode = async (user, code) => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: PASSWORD });
+    expect(login.body.twoFactorRequired).toBe(true);
+
+    return request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: login.body.challengeToken, code });
+  };
+
+  describe('verifySecondFactor', () => {
+    test('accepts an authenticator code only once', async () => {
+      const { user } = await createTwoFactorUser();
+      const code = totpCode(RFC_SECRET, currentStep());
+
+      expect(await verifySecondFactor(user, code)).toEqual({ valid: true });
+      expect(await verifySecondFactor(user, code)).toEqual({ valid: false });
+    });
+
+    test('spends a recovery code so it can\'t be used again', async () => {
+      const { user, codes } = await createTwoFactorUser();
+
+      expect(await verifySecondFactor(user, codes[0])).toEqual({ valid: true, recoveryCodesLeft: 9 });
+      expect(await verifySecondFactor(user, codes[0])).toEqual({ valid: false });
+      expect(await verifySecondFactor(user, codes[1])).toEqual({ valid: true, recoveryCodesLeft: 8 });
+
+      expect((await User.findById(user._id)).recoveryCodes).toHaveLength(8);
+    });
+
+    test('accepts recovery codes typed without the dash or in capitals', async () => {
+      const { user, codes } = await createTwoFactorUser();
+
+      expect(await verifySecondFactor(user, codes[0].replace('-', '').toUpperCase())).toMatchObject({ valid: true });
+      expect(await verifySecondFactor(user, ` ${codes[1]} `)).toMatchObject({ valid: true });
+    });
+
+    test('lets only one of two simultaneous uses of a recovery code through', async () => {
+      const { user, codes } = await createTwoFactorUser();
+
+      const results = await Promise.all([verifySecondFactor(user, codes[0]), verifySecondFactor(user, codes[0])]);
+
+      expect(results.filter(result => result.valid)).toHaveLength(1);
+      expect((await User.findById(user._id)).recoveryCodes).toHaveLength(9);
+    });
+
+    test('rejects a code that was never issued', async () => {
+      const { user } = await createTwoFactorUser();
+
+      expect(await verifySecondFactor(user, 'abcde-12345')).toEqual({ valid: false });
+    });
+  });
+
+  describe('sign-in', () => {
+    test('signs in with a recovery code and reports how many are left', async () => {
+      const { user, codes } = await createTwoFactorUser();
+
+      const res = await signInWithCode(user, codes[3]);
+
+      expect(res.status).toBe(200);
+      expect(res.body.token).toBeTruthy();
+      expect(res.body.recoveryCodesLeft).toBe(9);
+
+      const again = await signInWithCode(user, codes[3]);
+      expect(again.status).toBe(401);
+    });
+
+    test('asks a pastor without two-factor to set it up instead of signing in', async () => {
+      const user = await createUser({ email: 'pastor@example.com', role: 'pastor' });
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: PASSWORD });
+
+      expect(res.status).toBe(200);
+      expect(res.body.twoFactorSetupRequired).toBe(true);
+      expect(res.body.setupToken).toBeTruthy();
+      expect(res.body.token).toBeUndefined();
+    });
+  });
+
+  describe('authenticateToken', () => {
+    test('turns away a pastor\'s session once two-factor is switched off', async () => {
+      const { user } = await createTwoFactorUser();
+      const { token } = (await signInWithCode(user, totpCode(RFC_SECRET, currentStep()))).body;
+
+      const before = await request(app).get('/api/auth/2fa').set('Authorization', `Bearer ${token}`);
+      expect(before.status).toBe(200);
+      expect(before.body).toMatchObject({ enabled: true, required: true });
+
+      await User.updateOne({ _id: user._id }, { twoFactorEnabled: false });
+
+      const after = await request(app).get('/api/auth/2fa').set('Authorization', `Bearer ${token}`);
+      expect(after.status).toBe(403);
+      expect(after.body.twoFactorSetupRequired).toBe(true);
+    });
+
+    test('lets staff in without two-factor', async () => {
+      const token = await signIn(app, await createUser());
+
+      const res = await request(app).get('/api/auth/2fa').set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ enabled: false, required: false, recoveryCodesLeft: 0 });
+    });
+  });
+});